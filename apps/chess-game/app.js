@@ -1,45 +1,79 @@
 const express = require('express');
 const path = require('path');
-const session = require('express-session');
-const pgSession = require('connect-pg-simple')(session);
-const { pool } = require('@my-platform/database');
-const { setupAuth, requireAuth } = require('@my-platform/auth');
+const { pool, migrate } = require('@my-platform/database');
+const { createSession, setupAuth, authRoutes, requireAuth } = require('@my-platform/auth');
+const { headers, csrf, rateLimits, errorHandler } = require('@my-platform/security');
+const { useJsonLogs, observe } = require('@my-platform/observability');
+const live = require('./lib/live');
+const { TIME_CONTROLS } = require('./lib/clock');
+const { BOT_LEVELS } = require('./lib/bot');
+const { PROVISIONAL_RD, getLeaderboard, getPlayerProfile } = require('./lib/ratings');
+const {
+  GameError,
+  createGame,
+  joinGame,
+  findGameByInvite,
+  getGameState,
+  importGame,
+  exportGame,
+  exportUserGames,
+  playMove,
+  performAction,
+  startFlagWatcher,
+  startBotWatcher
+} = require('./lib/games');
+
+useJsonLogs('chess-game');
 
 const app = express();
-const passport = setupAuth(pool);
+const passport = setupAuth(pool, { baseURL: 'http://localhost:3001' });
+live.start();
+
+// The clock and bot watchers need the schema; bring it up to date first
+migrate().then(() => {
+  startFlagWatcher();
+  startBotWatcher();
+}).catch((err) => {
+  console.error('Migration error:', err);
+  process.exit(1);
+});
 
 // Configuration
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'ejs');
 
-// Middleware
+// Middleware; observe() adds request ids, logs and timings, and serves
+// /livez, /readyz and /metrics
+app.use(observe(pool));
+app.use(headers());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Session configuration
-app.use(session({
-  store: new pgSession({
-    pool: pool,
-    tableName: 'session',
-    createTableIfMissing: true
-  }),
-  secret: process.env.SESSION_SECRET || 'your-secret-key-change-in-production',
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-    secure: process.env.NODE_ENV === 'production'
-  }
-}));
+// Session configuration, shared with the other apps (@my-platform/auth)
+app.use(createSession(pool));
 
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Rate limits and CSRF tokens for everything that changes something
+app.use(rateLimits(pool));
+app.use(csrf());
+
+// Auth routes; people who arrived through an invite link are sent back
+// to it, and logging out ends the session in every app
+app.use(authRoutes(passport));
+
 // Routes
 app.get('/', async (req, res) => {
   if (!req.user) {
-    return res.render('index', { user: null, games: [] });
+    return res.render('index', {
+      user: null,
+      games: [],
+      openGames: [],
+      timeControls: TIME_CONTROLS,
+      botLevels: BOT_LEVELS
+    });
   }
   
   try {
@@ -51,14 +85,42 @@ app.get('/', async (req, res) => {
        LEFT JOIN users u1 ON g.white_player_id = u1.id
        LEFT JOIN users u2 ON g.black_player_id = u2.id
        WHERE (g.white_player_id = $1 OR g.black_player_id = $1)
-         AND g.status = 'active'
+         AND g.status IN ('waiting', 'active')
        ORDER BY g.updated_at DESC`,
       [req.user.id]
     );
-    res.render('index', { user: req.user, games: result.rows });
+
+    // Open challenges from other players that still have a free seat
+    const lobby = await pool.query(
+      `SELECT g.id, g.created_at, g.time_control, g.rated, u.name as creator_name, r.rating as creator_rating,
+              CASE WHEN g.white_player_id IS NULL THEN 'white' ELSE 'black' END as open_seat
+       FROM chess_games g
+       JOIN users u ON g.created_by = u.id
+       LEFT JOIN chess_ratings r ON r.user_id = g.created_by
+       WHERE g.status = 'waiting'
+         AND g.is_open
+         AND g.created_by <> $1
+       ORDER BY g.created_at DESC
+       LIMIT 50`,
+      [req.user.id]
+    );
+
+    res.render('index', {
+      user: req.user,
+      games: result.rows,
+      openGames: lobby.rows,
+      timeControls: TIME_CONTROLS,
+      botLevels: BOT_LEVELS
+    });
   } catch (err) {
     console.error('Error fetching games:', err);
-    res.render('index', { user: req.user, games: [] });
+    res.render('index', {
+      user: req.user,
+      games: [],
+      openGames: [],
+      timeControls: TIME_CONTROLS,
+      botLevels: BOT_LEVELS
+    });
   }
 });
 
@@ -66,62 +128,226 @@ app.get('/login', (req, res) => {
   res.render('login');
 });
 
-// Auth routes
-app.get('/auth/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
-
-app.get('/auth/google/callback',
-  passport.authenticate('google', { failureRedirect: '/login' }),
-  (req, res) => {
-    res.redirect('/');
-  }
-);
-
-app.get('/logout', (req, res) => {
-  req.logout((err) => {
-    if (err) console.error('Logout error:', err);
-    res.redirect('/');
-  });
-});
-
 // Game routes
 app.get('/game', requireAuth, async (req, res) => {
   try {
-    // Get or create active games for user
+    // Jump to the most recently played game
     const result = await pool.query(
-      `SELECT g.*, 
-              u1.name as white_player_name, 
-              u2.name as black_player_name
-       FROM chess_games g
-       LEFT JOIN users u1 ON g.white_player_id = u1.id
-       LEFT JOIN users u2 ON g.black_player_id = u2.id
-       WHERE (g.white_player_id = $1 OR g.black_player_id = $1)
-         AND g.status = 'active'
-       ORDER BY g.updated_at DESC`,
+      `SELECT id FROM chess_games
+       WHERE (white_player_id = $1 OR black_player_id = $1)
+         AND status IN ('waiting', 'active')
+       ORDER BY updated_at DESC
+       LIMIT 1`,
       [req.user.id]
     );
-    
-    res.render('game', { user: req.user, games: result.rows });
+    res.redirect(result.rows.length > 0 ? `/game/${result.rows[0].id}` : '/');
   } catch (err) {
     console.error('Error fetching games:', err);
     res.status(500).send('Error loading games');
   }
 });
 
+// Game page: players see an interactive board, everyone else watches
+app.get('/game/:id(\\d+)', async (req, res) => {
+  try {
+    const state = await getGameState(req.params.id, req.user ? req.user.id : null);
+    if (!state) {
+      return res.status(404).send('Game not found');
+    }
+    res.render('game', { user: req.user || null, timeControls: TIME_CONTROLS, ...state });
+  } catch (err) {
+    console.error('Error loading game:', err);
+    res.status(500).send('Error loading game');
+  }
+});
+
 app.post('/game/new', requireAuth, async (req, res) => {
   try {
-    const result = await pool.query(
-      `INSERT INTO chess_games (white_player_id, board_state, status)
-       VALUES ($1, $2, 'waiting')
-       RETURNING id`,
-      [req.user.id, 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1']
-    );
-    res.redirect(`/game/${result.rows[0].id}`);
+    const game = await createGame(req.user.id, {
+      color: req.body.color || 'white',
+      open: req.body.visibility !== 'private',
+      timeControl: req.body.timeControl || null,
+      botLevel: req.body.opponent === 'computer' ? Number(req.body.botLevel) || 1 : null,
+      rated: req.body.mode === 'rated'
+    });
+    res.redirect(`/game/${game.id}`);
   } catch (err) {
+    if (err instanceof GameError) {
+      return res.status(err.status).send(err.message);
+    }
     console.error('Error creating game:', err);
     res.status(500).send('Error creating game');
   }
 });
 
+// Take the free seat of a waiting game, from the lobby or an invite page
+app.post('/game/:id(\\d+)/join', requireAuth, async (req, res) => {
+  try {
+    const game = await joinGame(req.params.id, req.user.id, req.body.token || null);
+    res.redirect(`/game/${game.id}`);
+  } catch (err) {
+    if (err instanceof GameError) {
+      return res.status(err.status).send(err.message);
+    }
+    console.error('Error joining game:', err);
+    res.status(500).send('Error joining game');
+  }
+});
+
+// Shareable invite link
+app.get('/invite/:token', async (req, res) => {
+  if (!req.isAuthenticated()) {
+    req.session.returnTo = req.originalUrl;
+    return res.redirect('/login');
+  }
+
+  try {
+    const game = await findGameByInvite(req.params.token);
+    if (!game) {
+      return res.status(404).send('Invite not found');
+    }
+    const isPlayer = game.white_player_id === req.user.id || game.black_player_id === req.user.id;
+    if (isPlayer || game.status !== 'waiting') {
+      return res.redirect(`/game/${game.id}`);
+    }
+    res.render('invite', { user: req.user, game });
+  } catch (err) {
+    console.error('Error loading invite:', err);
+    res.status(500).send('Error loading invite');
+  }
+});
+
+// PGN download of a single game
+app.get('/game/:id(\\d+)/pgn', async (req, res) => {
+  try {
+    const text = await exportGame(req.params.id, { site: `${req.protocol}://${req.get('host')}/game/${req.params.id}` });
+    if (!text) {
+      return res.status(404).send('Game not found');
+    }
+    res.setHeader('Content-Type', 'application/x-chess-pgn');
+    res.setHeader('Content-Disposition', `attachment; filename=game-${req.params.id}.pgn`);
+    res.send(text);
+  } catch (err) {
+    console.error('Error exporting game:', err);
+    res.status(500).send('Error exporting game');
+  }
+});
+
+// PGN archive of all of the user's games
+app.get('/games.pgn', requireAuth, async (req, res) => {
+  try {
+    const text = await exportUserGames(req.user.id, { site: `${req.protocol}://${req.get('host')}` });
+    res.setHeader('Content-Type', 'application/x-chess-pgn');
+    res.setHeader('Content-Disposition', 'attachment; filename=my-chess-games.pgn');
+    res.send(text);
+  } catch (err) {
+    console.error('Error exporting games:', err);
+    res.status(500).send('Error exporting games');
+  }
+});
+
+// Start an analysis game from pasted PGN or FEN
+app.post('/game/import', requireAuth, async (req, res) => {
+  try {
+    const game = await importGame(req.user.id, req.body.pgn);
+    res.redirect(`/game/${game.id}`);
+  } catch (err) {
+    if (err instanceof GameError) {
+      return res.status(err.status).send(err.message);
+    }
+    console.error('Error importing game:', err);
+    res.status(500).send('Error importing game');
+  }
+});
+
+// Rating ladder; provisional ratings are listed after established ones
+app.get('/leaderboard', async (req, res) => {
+  try {
+    const players = await getLeaderboard();
+    res.render('leaderboard', { user: req.user || null, players, provisionalRd: PROVISIONAL_RD });
+  } catch (err) {
+    console.error('Error loading leaderboard:', err);
+    res.status(500).send('Error loading leaderboard');
+  }
+});
+
+app.get('/player/:id(\\d+)', async (req, res) => {
+  try {
+    const profile = await getPlayerProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).send('Player not found');
+    }
+    res.render('player', { user: req.user || null, timeControls: TIME_CONTROLS, ...profile });
+  } catch (err) {
+    console.error('Error loading player:', err);
+    res.status(500).send('Error loading player');
+  }
+});
+
+// Current game state as JSON, used by the page to resync after live events
+app.get('/game/:id(\\d+)/state', async (req, res) => {
+  try {
+    const state = await getGameState(req.params.id, req.user ? req.user.id : null);
+    if (!state) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    res.json(state);
+  } catch (err) {
+    console.error('Error loading game state:', err);
+    res.status(500).json({ error: 'Error loading game' });
+  }
+});
+
+// Live event stream for players and signed-in spectators
+app.get('/game/:id(\\d+)/events', async (req, res) => {
+  if (!req.isAuthenticated()) {
+    return res.status(401).json({ error: 'Login required' });
+  }
+
+  try {
+    const result = await pool.query('SELECT id FROM chess_games WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    live.subscribe(req.params.id, req, res);
+  } catch (err) {
+    console.error('Error opening game events:', err);
+    res.status(500).json({ error: 'Error opening game events' });
+  }
+});
+
+// Submit a move as UCI ("e2e4"), SAN ("Nf3") or { from, to, promotion }
+app.post('/game/:id(\\d+)/move', requireAuth, async (req, res) => {
+  try {
+    const { game, move } = await playMove(req.params.id, req.user.id, req.body.move || req.body);
+    res.json({ game, move });
+  } catch (err) {
+    if (err instanceof GameError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error playing move:', err);
+    res.status(500).json({ error: 'Error playing move' });
+  }
+});
+
+// Resign, answer or make a draw offer or takeback request, or abort:
+// { "action": "offer_draw" }
+app.post('/game/:id(\\d+)/action', requireAuth, async (req, res) => {
+  try {
+    const game = await performAction(req.params.id, req.user.id, req.body.action);
+    res.json({ game });
+  } catch (err) {
+    if (err instanceof GameError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error performing game action:', err);
+    res.status(500).json({ error: 'Error performing game action' });
+  }
+});
+
+// Anything a route passed on, without the details
+app.use(errorHandler());
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Chess game server running on port ${PORT}`);
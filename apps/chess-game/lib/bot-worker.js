@@ -0,0 +1,5 @@
+// Worker thread entry point for bot searches, see think() in bot.js
+const { parentPort, workerData } = require('worker_threads');
+const { chooseMove } = require('./bot');
+
+parentPort.postMessage(chooseMove(workerData.fen, workerData.level));
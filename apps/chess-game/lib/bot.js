@@ -0,0 +1,207 @@
+// Built-in computer opponent: iterative-deepening alpha-beta search with
+// quiescence, evaluated on material and piece-square tables. Searches run
+// in a worker thread so a thinking bot never blocks the server.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const chess = require('./chess');
+
+// `noise` adds up to that many centipawns of randomness to each root move,
+// which is what makes the lower levels beatable.
+const BOT_LEVELS = {
+  1: { name: 'Computer (Beginner)', depth: 1, timeMs: 500, noise: 200 },
+  2: { name: 'Computer (Casual)', depth: 2, timeMs: 1000, noise: 60 },
+  3: { name: 'Computer (Club)', depth: 3, timeMs: 2000, noise: 0 },
+  4: { name: 'Computer (Expert)', depth: 6, timeMs: 4000, noise: 0 }
+};
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+const MATE = 100000;
+const INFINITY = 1000000;
+
+// Piece-square tables from White's point of view, rank 8 first
+const PST = {
+  p: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    10, 10, 20, 30, 30, 20, 10, 10,
+    5, 5, 10, 25, 25, 10, 5, 5,
+    0, 0, 0, 20, 20, 0, 0, 0,
+    5, -5, -10, 0, 0, -10, -5, 5,
+    5, 10, 10, -20, -20, 10, 10, 5,
+    0, 0, 0, 0, 0, 0, 0, 0
+  ],
+  n: [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20, 0, 0, 0, 0, -20, -40,
+    -30, 0, 10, 15, 15, 10, 0, -30,
+    -30, 5, 15, 20, 20, 15, 5, -30,
+    -30, 0, 15, 20, 20, 15, 0, -30,
+    -30, 5, 10, 15, 15, 10, 5, -30,
+    -40, -20, 0, 5, 5, 0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50
+  ],
+  b: [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 10, 10, 5, 0, -10,
+    -10, 5, 5, 10, 10, 5, 5, -10,
+    -10, 0, 10, 10, 10, 10, 0, -10,
+    -10, 10, 10, 10, 10, 10, 10, -10,
+    -10, 5, 0, 0, 0, 0, 5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20
+  ],
+  r: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    5, 10, 10, 10, 10, 10, 10, 5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    0, 0, 0, 5, 5, 0, 0, 0
+  ],
+  q: [
+    -20, -10, -10, -5, -5, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 5, 5, 5, 0, -10,
+    -5, 0, 5, 5, 5, 5, 0, -5,
+    0, 0, 5, 5, 5, 5, 0, -5,
+    -10, 5, 5, 5, 5, 5, 0, -10,
+    -10, 0, 5, 0, 0, 0, 0, -10,
+    -20, -10, -10, -5, -5, -10, -10, -20
+  ],
+  k: [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+    20, 20, 0, 0, 0, 0, 20, 20,
+    20, 30, 10, 0, 0, 10, 30, 20
+  ]
+};
+
+class SearchTimeout extends Error {}
+
+// Static score in centipawns from the side to move's point of view
+function evaluate(position) {
+  let score = 0;
+  position.board.forEach((piece, sq) => {
+    if (!piece) return;
+    const type = piece.toLowerCase();
+    const white = piece !== type;
+    const rank = sq >> 3;
+    const file = sq % 8;
+    const index = white ? (7 - rank) * 8 + file : rank * 8 + file;
+    const value = PIECE_VALUES[type] + PST[type][index];
+    score += white ? value : -value;
+  });
+  return position.turn === 'w' ? score : -score;
+}
+
+// Most valuable victim, least valuable attacker first; promotions up front
+function orderMoves(moves, first = null) {
+  const weight = (move) => {
+    if (first && move.from === first.from && move.to === first.to && move.promotion === first.promotion) {
+      return INFINITY;
+    }
+    let w = 0;
+    if (move.captured) w += 10 * PIECE_VALUES[move.captured.toLowerCase()] - PIECE_VALUES[move.piece.toLowerCase()];
+    if (move.promotion) w += PIECE_VALUES[move.promotion];
+    return w;
+  };
+  return moves.sort((a, b) => weight(b) - weight(a));
+}
+
+function tick(ctx) {
+  ctx.nodes++;
+  if ((ctx.nodes & 1023) === 0 && Date.now() > ctx.deadline) throw new SearchTimeout();
+}
+
+function quiesce(position, alpha, beta, ctx) {
+  tick(ctx);
+  const standPat = evaluate(position);
+  if (standPat >= beta) return beta;
+  if (standPat > alpha) alpha = standPat;
+
+  const noisy = chess.legalMoves(position).filter((m) => m.captured || m.promotion);
+  for (const move of orderMoves(noisy)) {
+    const score = -quiesce(chess.applyMove(position, move), -beta, -alpha, ctx);
+    if (score >= beta) return beta;
+    if (score > alpha) alpha = score;
+  }
+  return alpha;
+}
+
+function negamax(position, depth, alpha, beta, ply, ctx) {
+  tick(ctx);
+  const moves = chess.legalMoves(position);
+  if (moves.length === 0) {
+    return chess.inCheck(position) ? -MATE + ply : 0;
+  }
+  if (position.halfmove >= 100) return 0;
+  if (depth === 0) return quiesce(position, alpha, beta, ctx);
+
+  for (const move of orderMoves(moves)) {
+    const score = -negamax(chess.applyMove(position, move), depth - 1, -beta, -alpha, ply + 1, ctx);
+    if (score >= beta) return beta;
+    if (score > alpha) alpha = score;
+  }
+  return alpha;
+}
+
+// Pick a move for the side to move in `fen` at the given level. Returns the
+// move in UCI notation, or null when there is nothing to play.
+function chooseMove(fen, level) {
+  const settings = BOT_LEVELS[level] || BOT_LEVELS[1];
+  const position = chess.parseFen(fen);
+  const moves = chess.legalMoves(position);
+  if (moves.length === 0) return null;
+
+  const ctx = { nodes: 0, deadline: Date.now() + settings.timeMs };
+  let best = moves[0];
+
+  for (let depth = 1; depth <= settings.depth; depth++) {
+    try {
+      let alpha = -INFINITY;
+      let bestScore = -INFINITY;
+      let bestAtDepth = null;
+
+      for (const move of orderMoves(moves, best)) {
+        // With noise every root move needs an exact score, so skip pruning
+        const floor = settings.noise ? -INFINITY : alpha;
+        const score = -negamax(chess.applyMove(position, move), depth - 1, -INFINITY, -floor, 1, ctx);
+        const noisy = score + (settings.noise ? Math.random() * settings.noise : 0);
+        if (noisy > bestScore) {
+          bestScore = noisy;
+          bestAtDepth = move;
+        }
+        if (score > alpha) alpha = score;
+      }
+
+      best = bestAtDepth;
+      if (bestScore >= MATE - 100) break;
+    } catch (err) {
+      if (err instanceof SearchTimeout) break;
+      throw err;
+    }
+  }
+
+  return chess.toUci(best);
+}
+
+// chooseMove on a worker thread
+function think(fen, level) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'bot-worker.js'), { workerData: { fen, level } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`Bot worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+module.exports = { BOT_LEVELS, evaluate, chooseMove, think };
@@ -0,0 +1,555 @@
+// Server-side chess rules: FEN parsing, legal move generation, SAN and
+// end-of-game detection. Positions are plain objects so they can be copied
+// and compared cheaply; squares are indexed 0 (a1) to 63 (h8).
+
+const FILES = 'abcdefgh';
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// Castling rights lost when a piece moves from or to one of these squares
+const CASTLING_SQUARES = { 0: 'Q', 4: 'KQ', 7: 'K', 56: 'q', 60: 'kq', 63: 'k' };
+
+class InvalidFenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidFenError';
+  }
+}
+
+class IllegalMoveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IllegalMoveError';
+  }
+}
+
+const fileOf = (sq) => sq % 8;
+const rankOf = (sq) => sq >> 3;
+const colorOf = (piece) => (piece === piece.toUpperCase() ? 'w' : 'b');
+const opponent = (color) => (color === 'w' ? 'b' : 'w');
+const pieceFor = (color, type) => (color === 'w' ? type.toUpperCase() : type);
+
+function offset(sq, df, dr) {
+  const file = fileOf(sq) + df;
+  const rank = rankOf(sq) + dr;
+  if (file < 0 || file > 7 || rank < 0 || rank > 7) return -1;
+  return rank * 8 + file;
+}
+
+function squareName(sq) {
+  return FILES[fileOf(sq)] + (rankOf(sq) + 1);
+}
+
+function squareIndex(name) {
+  if (!/^[a-h][1-8]$/.test(name)) return -1;
+  return (Number(name[1]) - 1) * 8 + FILES.indexOf(name[0]);
+}
+
+// FEN
+
+function parseFen(fen) {
+  if (typeof fen !== 'string') {
+    throw new InvalidFenError('FEN must be a string');
+  }
+
+  const parts = fen.trim().split(/\s+/);
+  if (parts.length < 4 || parts.length > 6) {
+    throw new InvalidFenError('FEN must have between 4 and 6 fields');
+  }
+
+  const [placement, turn, castling, ep, halfmove = '0', fullmove = '1'] = parts;
+  const rows = placement.split('/');
+  if (rows.length !== 8) {
+    throw new InvalidFenError('FEN board must have 8 ranks');
+  }
+
+  const board = new Array(64).fill(null);
+  rows.forEach((row, i) => {
+    const rank = 7 - i;
+    let file = 0;
+    for (const ch of row) {
+      if (/[1-8]/.test(ch)) {
+        file += Number(ch);
+      } else if (/[prnbqk]/i.test(ch)) {
+        if (file > 7) {
+          throw new InvalidFenError(`FEN rank ${rank + 1} has more than 8 squares`);
+        }
+        board[rank * 8 + file] = ch;
+        file++;
+      } else {
+        throw new InvalidFenError(`Invalid character '${ch}' in FEN board`);
+      }
+    }
+    if (file !== 8) {
+      throw new InvalidFenError(`FEN rank ${rank + 1} does not have 8 squares`);
+    }
+  });
+
+  if (turn !== 'w' && turn !== 'b') {
+    throw new InvalidFenError('FEN side to move must be w or b');
+  }
+  if (!/^(-|K?Q?k?q?)$/.test(castling) || castling === '') {
+    throw new InvalidFenError('Invalid FEN castling field');
+  }
+  if (ep !== '-' && !/^[a-h][36]$/.test(ep)) {
+    throw new InvalidFenError('Invalid FEN en passant square');
+  }
+  if (!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove) || Number(fullmove) < 1) {
+    throw new InvalidFenError('Invalid FEN move counters');
+  }
+
+  const position = {
+    board,
+    turn,
+    castling: castling === '-' ? '' : castling,
+    epSquare: ep === '-' ? -1 : squareIndex(ep),
+    halfmove: Number(halfmove),
+    fullmove: Number(fullmove)
+  };
+  validatePosition(position);
+  return position;
+}
+
+function validatePosition(position) {
+  const { board, turn, castling, epSquare } = position;
+
+  for (const color of ['w', 'b']) {
+    const kings = board.filter((p) => p === pieceFor(color, 'k')).length;
+    if (kings !== 1) {
+      throw new InvalidFenError(`Position must have exactly one ${color === 'w' ? 'white' : 'black'} king`);
+    }
+  }
+
+  for (let file = 0; file < 8; file++) {
+    if (/p/i.test(board[file] || '') || /p/i.test(board[56 + file] || '')) {
+      throw new InvalidFenError('Pawns cannot stand on the first or last rank');
+    }
+  }
+
+  if (isKingAttacked(board, opponent(turn))) {
+    throw new InvalidFenError('The side not to move is in check');
+  }
+
+  const homes = { K: [4, 7, 'K', 'R'], Q: [4, 0, 'K', 'R'], k: [60, 63, 'k', 'r'], q: [60, 56, 'k', 'r'] };
+  for (const right of castling) {
+    const [kingSq, rookSq, king, rook] = homes[right];
+    if (board[kingSq] !== king || board[rookSq] !== rook) {
+      throw new InvalidFenError(`Castling right '${right}' does not match the king and rook placement`);
+    }
+  }
+
+  if (epSquare >= 0) {
+    const expectedRank = turn === 'w' ? 5 : 2;
+    const pawnSq = offset(epSquare, 0, turn === 'w' ? -1 : 1);
+    if (rankOf(epSquare) !== expectedRank || board[epSquare] || board[pawnSq] !== pieceFor(opponent(turn), 'p')) {
+      throw new InvalidFenError('En passant square does not follow a double pawn push');
+    }
+  }
+}
+
+function toFen(position) {
+  const rows = [];
+  for (let rank = 7; rank >= 0; rank--) {
+    let row = '';
+    let empty = 0;
+    for (let file = 0; file < 8; file++) {
+      const piece = position.board[rank * 8 + file];
+      if (piece) {
+        if (empty) row += empty;
+        row += piece;
+        empty = 0;
+      } else {
+        empty++;
+      }
+    }
+    if (empty) row += empty;
+    rows.push(row);
+  }
+
+  return [
+    rows.join('/'),
+    position.turn,
+    position.castling || '-',
+    position.epSquare >= 0 ? squareName(position.epSquare) : '-',
+    position.halfmove,
+    position.fullmove
+  ].join(' ');
+}
+
+// Attacks
+
+function isSquareAttacked(board, sq, by) {
+  const pawnRank = by === 'w' ? -1 : 1;
+  for (const df of [-1, 1]) {
+    const from = offset(sq, df, pawnRank);
+    if (from >= 0 && board[from] === pieceFor(by, 'p')) return true;
+  }
+
+  for (const [df, dr] of KNIGHT_STEPS) {
+    const from = offset(sq, df, dr);
+    if (from >= 0 && board[from] === pieceFor(by, 'n')) return true;
+  }
+
+  for (const [df, dr] of KING_STEPS) {
+    const from = offset(sq, df, dr);
+    if (from >= 0 && board[from] === pieceFor(by, 'k')) return true;
+  }
+
+  const sliders = [
+    [ROOK_DIRS, pieceFor(by, 'r')],
+    [BISHOP_DIRS, pieceFor(by, 'b')]
+  ];
+  for (const [dirs, slider] of sliders) {
+    for (const [df, dr] of dirs) {
+      let from = offset(sq, df, dr);
+      while (from >= 0) {
+        const piece = board[from];
+        if (piece) {
+          if (piece === slider || piece === pieceFor(by, 'q')) return true;
+          break;
+        }
+        from = offset(from, df, dr);
+      }
+    }
+  }
+
+  return false;
+}
+
+function isKingAttacked(board, color) {
+  const king = board.indexOf(pieceFor(color, 'k'));
+  return king >= 0 && isSquareAttacked(board, king, opponent(color));
+}
+
+function inCheck(position) {
+  return isKingAttacked(position.board, position.turn);
+}
+
+// Move generation
+
+function addMove(moves, position, from, to, extra = {}) {
+  moves.push({
+    from,
+    to,
+    piece: position.board[from],
+    captured: position.board[to],
+    promotion: null,
+    flag: null,
+    ...extra
+  });
+}
+
+function addPawnMoves(position, from, moves) {
+  const { board, turn, epSquare } = position;
+  const dir = turn === 'w' ? 1 : -1;
+  const startRank = turn === 'w' ? 1 : 6;
+  const lastRank = turn === 'w' ? 7 : 0;
+
+  const push = (to, extra) => {
+    if (rankOf(to) === lastRank) {
+      PROMOTION_PIECES.forEach((promotion) => addMove(moves, position, from, to, { ...extra, promotion }));
+    } else {
+      addMove(moves, position, from, to, extra);
+    }
+  };
+
+  const one = offset(from, 0, dir);
+  if (one >= 0 && !board[one]) {
+    push(one);
+    const two = offset(from, 0, 2 * dir);
+    if (rankOf(from) === startRank && !board[two]) {
+      addMove(moves, position, from, two, { flag: 'double' });
+    }
+  }
+
+  for (const df of [-1, 1]) {
+    const to = offset(from, df, dir);
+    if (to < 0) continue;
+    if (board[to] && colorOf(board[to]) !== turn) {
+      push(to);
+    } else if (to === epSquare) {
+      addMove(moves, position, from, to, { captured: pieceFor(opponent(turn), 'p'), flag: 'enpassant' });
+    }
+  }
+}
+
+function addStepMoves(position, from, steps, moves) {
+  for (const [df, dr] of steps) {
+    const to = offset(from, df, dr);
+    if (to < 0) continue;
+    const target = position.board[to];
+    if (!target || colorOf(target) !== position.turn) addMove(moves, position, from, to);
+  }
+}
+
+function addSlideMoves(position, from, dirs, moves) {
+  for (const [df, dr] of dirs) {
+    let to = offset(from, df, dr);
+    while (to >= 0) {
+      const target = position.board[to];
+      if (target) {
+        if (colorOf(target) !== position.turn) addMove(moves, position, from, to);
+        break;
+      }
+      addMove(moves, position, from, to);
+      to = offset(to, df, dr);
+    }
+  }
+}
+
+function addCastlingMoves(position, from, moves) {
+  const { board, turn, castling } = position;
+  const home = turn === 'w' ? 4 : 60;
+  const them = opponent(turn);
+  if (from !== home || isSquareAttacked(board, home, them)) return;
+
+  const kingside = pieceFor(turn, 'k');
+  if (castling.includes(kingside) && !board[home + 1] && !board[home + 2] &&
+      board[home + 3] === pieceFor(turn, 'r') &&
+      !isSquareAttacked(board, home + 1, them) && !isSquareAttacked(board, home + 2, them)) {
+    addMove(moves, position, from, home + 2, { flag: 'castle' });
+  }
+
+  const queenside = pieceFor(turn, 'q');
+  if (castling.includes(queenside) && !board[home - 1] && !board[home - 2] && !board[home - 3] &&
+      board[home - 4] === pieceFor(turn, 'r') &&
+      !isSquareAttacked(board, home - 1, them) && !isSquareAttacked(board, home - 2, them)) {
+    addMove(moves, position, from, home - 2, { flag: 'castle' });
+  }
+}
+
+function pseudoLegalMoves(position) {
+  const moves = [];
+  position.board.forEach((piece, from) => {
+    if (!piece || colorOf(piece) !== position.turn) return;
+    switch (piece.toLowerCase()) {
+      case 'p':
+        addPawnMoves(position, from, moves);
+        break;
+      case 'n':
+        addStepMoves(position, from, KNIGHT_STEPS, moves);
+        break;
+      case 'b':
+        addSlideMoves(position, from, BISHOP_DIRS, moves);
+        break;
+      case 'r':
+        addSlideMoves(position, from, ROOK_DIRS, moves);
+        break;
+      case 'q':
+        addSlideMoves(position, from, [...ROOK_DIRS, ...BISHOP_DIRS], moves);
+        break;
+      case 'k':
+        addStepMoves(position, from, KING_STEPS, moves);
+        addCastlingMoves(position, from, moves);
+        break;
+    }
+  });
+  return moves;
+}
+
+function legalMoves(position) {
+  return pseudoLegalMoves(position).filter(
+    (move) => !isKingAttacked(applyMove(position, move).board, position.turn)
+  );
+}
+
+// Applying moves
+
+function applyMove(position, move) {
+  const us = position.turn;
+  const them = opponent(us);
+  const board = position.board.slice();
+
+  board[move.to] = move.promotion ? pieceFor(us, move.promotion) : move.piece;
+  board[move.from] = null;
+
+  if (move.flag === 'enpassant') {
+    board[offset(move.to, 0, us === 'w' ? -1 : 1)] = null;
+  } else if (move.flag === 'castle') {
+    const kingside = fileOf(move.to) === 6;
+    const rookFrom = kingside ? move.to + 1 : move.to - 2;
+    const rookTo = kingside ? move.to - 1 : move.to + 1;
+    board[rookTo] = board[rookFrom];
+    board[rookFrom] = null;
+  }
+
+  let castling = position.castling;
+  for (const sq of [move.from, move.to]) {
+    for (const right of CASTLING_SQUARES[sq] || '') castling = castling.replace(right, '');
+  }
+
+  // Only record the en passant square when a capture is actually possible,
+  // so that repetition detection can compare FENs directly.
+  let epSquare = -1;
+  if (move.flag === 'double') {
+    const enemyPawn = pieceFor(them, 'p');
+    const adjacent = [offset(move.to, -1, 0), offset(move.to, 1, 0)];
+    if (adjacent.some((sq) => sq >= 0 && board[sq] === enemyPawn)) {
+      epSquare = (move.from + move.to) / 2;
+    }
+  }
+
+  const resetsClock = move.piece.toLowerCase() === 'p' || Boolean(move.captured);
+  return {
+    board,
+    turn: them,
+    castling,
+    epSquare,
+    halfmove: resetsClock ? 0 : position.halfmove + 1,
+    fullmove: us === 'b' ? position.fullmove + 1 : position.fullmove
+  };
+}
+
+// Notation
+
+function toUci(move) {
+  return squareName(move.from) + squareName(move.to) + (move.promotion || '');
+}
+
+function toSan(position, move, legal = legalMoves(position)) {
+  let san;
+
+  if (move.flag === 'castle') {
+    san = fileOf(move.to) === 6 ? 'O-O' : 'O-O-O';
+  } else if (move.piece.toLowerCase() === 'p') {
+    san = move.captured ? `${FILES[fileOf(move.from)]}x` : '';
+    san += squareName(move.to);
+    if (move.promotion) san += `=${move.promotion.toUpperCase()}`;
+  } else {
+    const rivals = legal.filter((m) => m.piece === move.piece && m.to === move.to && m.from !== move.from);
+    let disambiguation = '';
+    if (rivals.length > 0) {
+      const sameFile = rivals.some((m) => fileOf(m.from) === fileOf(move.from));
+      const sameRank = rivals.some((m) => rankOf(m.from) === rankOf(move.from));
+      if (!sameFile) disambiguation = FILES[fileOf(move.from)];
+      else if (!sameRank) disambiguation = String(rankOf(move.from) + 1);
+      else disambiguation = squareName(move.from);
+    }
+    san = move.piece.toUpperCase() + disambiguation + (move.captured ? 'x' : '') + squareName(move.to);
+  }
+
+  const next = applyMove(position, move);
+  if (inCheck(next)) {
+    san += legalMoves(next).length === 0 ? '#' : '+';
+  }
+  return san;
+}
+
+// Accepts UCI ("e2e4", "e7e8q"), SAN ("Nf3", "exd8=Q+", "O-O") or an
+// object with from/to/promotion fields, and returns the matching legal move.
+function findMove(position, input) {
+  const legal = legalMoves(position);
+  let text = input;
+
+  if (input && typeof input === 'object') {
+    text = `${input.from || ''}${input.to || ''}${input.promotion || ''}`;
+  }
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new IllegalMoveError('A move is required');
+  }
+  text = text.trim();
+
+  const uci = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/i.exec(text);
+  if (uci) {
+    const from = squareIndex(uci[1].toLowerCase());
+    const to = squareIndex(uci[2].toLowerCase());
+    const promotion = uci[3] ? uci[3].toLowerCase() : null;
+    const candidates = legal.filter((m) => m.from === from && m.to === to);
+    const match = candidates.find((m) => m.promotion === promotion);
+    if (match) return match;
+    if (candidates.length > 0 && !promotion) {
+      throw new IllegalMoveError(`Move ${text} needs a promotion piece (q, r, b or n)`);
+    }
+    throw new IllegalMoveError(`Illegal move: ${text}`);
+  }
+
+  const normalize = (san) => san.replace(/[+#!?]+$/, '').replace(/0/g, 'O').replace('=', '');
+  const wanted = normalize(text);
+  const match = legal.find((m) => normalize(toSan(position, m, legal)) === wanted);
+  if (!match) {
+    throw new IllegalMoveError(`Illegal move: ${text}`);
+  }
+  return match;
+}
+
+// Game end
+
+function hasInsufficientMaterial(position) {
+  const pieces = [];
+  position.board.forEach((piece, sq) => {
+    if (piece && piece.toLowerCase() !== 'k') pieces.push({ type: piece.toLowerCase(), sq });
+  });
+
+  if (pieces.length === 0) return true;
+  if (pieces.length === 1) return pieces[0].type === 'b' || pieces[0].type === 'n';
+
+  // Any number of bishops all standing on the same colour cannot mate
+  if (pieces.every((p) => p.type === 'b')) {
+    const shade = (sq) => (fileOf(sq) + rankOf(sq)) % 2;
+    return pieces.every((p) => shade(p.sq) === shade(pieces[0].sq));
+  }
+  return false;
+}
+
+// Whether `color` still has anything that could deliver mate; a lone king or
+// king and a single minor piece cannot, so running out of time against them
+// is a draw.
+function hasMatingMaterial(position, color) {
+  const pieces = position.board.filter((p) => p && colorOf(p) === color && p.toLowerCase() !== 'k');
+  if (pieces.length === 0) return false;
+  return !(pieces.length === 1 && /[bn]/i.test(pieces[0]));
+}
+
+// Positions repeat when placement, side to move, castling rights and en
+// passant square all match; the move counters are ignored.
+function repetitionKey(fen) {
+  return fen.trim().split(/\s+/).slice(0, 4).join(' ');
+}
+
+// `history` is every FEN the game has passed through, including the current
+// position. Returns null while the game goes on.
+function getOutcome(position, history = []) {
+  if (legalMoves(position).length === 0) {
+    if (inCheck(position)) {
+      return { result: position.turn === 'w' ? '0-1' : '1-0', termination: 'checkmate' };
+    }
+    return { result: '1/2-1/2', termination: 'stalemate' };
+  }
+
+  if (hasInsufficientMaterial(position)) {
+    return { result: '1/2-1/2', termination: 'insufficient_material' };
+  }
+
+  if (position.halfmove >= 100) {
+    return { result: '1/2-1/2', termination: 'fifty_move_rule' };
+  }
+
+  const key = repetitionKey(toFen(position));
+  if (history.filter((fen) => repetitionKey(fen) === key).length >= 3) {
+    return { result: '1/2-1/2', termination: 'threefold_repetition' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  START_FEN,
+  InvalidFenError,
+  IllegalMoveError,
+  parseFen,
+  toFen,
+  legalMoves,
+  applyMove,
+  inCheck,
+  findMove,
+  toSan,
+  toUci,
+  getOutcome,
+  hasMatingMaterial,
+  squareName
+};
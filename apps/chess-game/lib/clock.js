@@ -0,0 +1,104 @@
+// Time controls and clock arithmetic. Live controls are written
+// "minutes+increment seconds" (e.g. "3+2"); correspondence controls are
+// days per move (e.g. "3d"). Games without a time control are untimed.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TIME_CONTROLS = {
+  '1+0': 'Bullet 1+0',
+  '2+1': 'Bullet 2+1',
+  '3+0': 'Blitz 3+0',
+  '3+2': 'Blitz 3+2',
+  '5+0': 'Blitz 5+0',
+  '5+3': 'Blitz 5+3',
+  '10+0': 'Rapid 10+0',
+  '10+5': 'Rapid 10+5',
+  '15+10': 'Rapid 15+10',
+  '1d': 'Correspondence, 1 day per move',
+  '3d': 'Correspondence, 3 days per move',
+  '7d': 'Correspondence, 7 days per move'
+};
+
+function parseTimeControl(timeControl) {
+  if (!timeControl) return null;
+
+  const live = /^(\d+)\+(\d+)$/.exec(timeControl);
+  if (live) {
+    const initialMs = Number(live[1]) * 60 * 1000;
+    const incrementMs = Number(live[2]) * 1000;
+    // Estimated duration of a 40-move game decides the category
+    const estimated = initialMs + 40 * incrementMs;
+    const category = estimated < 3 * 60 * 1000 ? 'bullet' : estimated < 10 * 60 * 1000 ? 'blitz' : 'rapid';
+    return { type: 'live', category, initialMs, incrementMs };
+  }
+
+  const correspondence = /^(\d+)d$/.exec(timeControl);
+  if (correspondence) {
+    return { type: 'correspondence', category: 'correspondence', moveMs: Number(correspondence[1]) * DAY_MS };
+  }
+
+  return null;
+}
+
+function isValidTimeControl(timeControl) {
+  return !timeControl || Object.prototype.hasOwnProperty.call(TIME_CONTROLS, timeControl);
+}
+
+// Clocks for a game that is about to start
+function initialClocks(timeControl) {
+  const control = parseTimeControl(timeControl);
+  const ms = control && control.type === 'live' ? control.initialMs : null;
+  return { white_time_ms: ms, black_time_ms: ms };
+}
+
+// Clock readings after `color` moves at `now` (epoch ms), where `ply` counts
+// moves including this one. Nobody's clock runs until both sides have made
+// their first move; after that the side to move has until `turn_deadline`.
+// Returns { flagged: true } when the mover had already run out of time.
+function clocksAfterMove(game, color, now, ply) {
+  const control = parseTimeControl(game.time_control);
+  if (!control) {
+    return { flagged: false, white_time_ms: null, black_time_ms: null, turn_deadline: null };
+  }
+
+  const times = { w: game.white_time_ms, b: game.black_time_ms };
+  if (game.turn_deadline) {
+    const left = new Date(game.turn_deadline).getTime() - now;
+    if (left <= 0) return { flagged: true };
+    if (control.type === 'live') times[color] = left + control.incrementMs;
+  }
+
+  const next = color === 'w' ? 'b' : 'w';
+  const deadline = turnDeadline(game, next === 'w' ? times.w : times.b, now, ply);
+
+  return { flagged: false, white_time_ms: times.w, black_time_ms: times.b, turn_deadline: deadline };
+}
+
+// When the side to move with `remainingMs` on their clock runs out, given
+// that `ply` moves have been played. Null while the clocks are not running.
+function turnDeadline(game, remainingMs, now, ply) {
+  const control = parseTimeControl(game.time_control);
+  if (!control || ply < 2) return null;
+  return new Date(now + (control.type === 'live' ? remainingMs : control.moveMs));
+}
+
+// Clock readings for a game stopped at `now` other than by a move, e.g. by
+// resignation: the side to move is charged for the time they have used.
+function clocksAtStop(game, turn, now) {
+  const control = parseTimeControl(game.time_control);
+  const times = { w: game.white_time_ms, b: game.black_time_ms };
+  if (control && control.type === 'live' && game.turn_deadline) {
+    times[turn] = Math.max(0, new Date(game.turn_deadline).getTime() - now);
+  }
+  return { white_time_ms: times.w, black_time_ms: times.b };
+}
+
+module.exports = {
+  TIME_CONTROLS,
+  parseTimeControl,
+  isValidTimeControl,
+  initialClocks,
+  clocksAfterMove,
+  turnDeadline,
+  clocksAtStop
+};
@@ -0,0 +1,775 @@
+const crypto = require('crypto');
+const { pool } = require('@my-platform/database');
+const { metrics } = require('@my-platform/observability');
+const bot = require('./bot');
+const chess = require('./chess');
+const clock = require('./clock');
+const live = require('./live');
+const pgn = require('./pgn');
+const ratings = require('./ratings');
+
+// Errors a player can cause; `status` is the HTTP status to answer with
+class GameError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GameError';
+    this.status = status;
+  }
+}
+
+const SEAT_COLORS = ['white', 'black', 'random'];
+
+const movesPlayed = metrics.counter('chess_moves_total', 'Moves played, by people and the computer');
+const gamesFinished = metrics.counter('chess_games_finished_total', 'Games played to a result, by how they ended', ['termination']);
+
+// Count a game that has just been committed as finished; analysis boards
+// are not real games
+function countFinished(game) {
+  if (game.status === 'finished' && !game.is_analysis) {
+    gamesFinished.inc({ termination: game.termination });
+  }
+}
+
+function playerColor(game, userId) {
+  if (game.white_player_id === userId) return 'w';
+  if (game.black_player_id === userId) return 'b';
+  return null;
+}
+
+// The users row that plays as the computer at `level`, created on first use
+async function getBotUser(level) {
+  const result = await pool.query(
+    `INSERT INTO users (google_id, email, name, is_bot)
+     VALUES ($1, $2, $3, true)
+     ON CONFLICT (google_id) DO UPDATE SET name = EXCLUDED.name, is_bot = true
+     RETURNING *`,
+    [`bot:${level}`, `bot-${level}@chess.invalid`, bot.BOT_LEVELS[level].name]
+  );
+  return result.rows[0];
+}
+
+// Open a new game with the creator in their chosen seat. 'random' is settled
+// here so the lobby can show which seat is still free. Games against the
+// computer seat the bot straight away and start untimed and casual.
+async function createGame(userId, { color = 'white', open = true, timeControl = null, botLevel = null, rated = false } = {}) {
+  if (!SEAT_COLORS.includes(color)) {
+    throw new GameError('Color must be white, black or random');
+  }
+  if (!clock.isValidTimeControl(timeControl)) {
+    throw new GameError('Unknown time control');
+  }
+  if (botLevel !== null && !bot.BOT_LEVELS[botLevel]) {
+    throw new GameError('Unknown computer level');
+  }
+  const seat = color === 'random' ? (crypto.randomInt(2) ? 'white' : 'black') : color;
+  const opponentId = botLevel ? (await getBotUser(botLevel)).id : null;
+  if (botLevel) {
+    timeControl = null;
+    rated = false;
+  }
+  const clocks = clock.initialClocks(timeControl);
+
+  const result = await pool.query(
+    `INSERT INTO chess_games
+       (white_player_id, black_player_id, created_by, invite_token, is_open, board_state, initial_fen, status,
+        time_control, white_time_ms, black_time_ms, bot_level, rated)
+     VALUES ($1, $2, $3, $4, $5, $6, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING *`,
+    [
+      seat === 'white' ? userId : opponentId,
+      seat === 'black' ? userId : opponentId,
+      userId,
+      crypto.randomBytes(16).toString('hex'),
+      botLevel ? false : open,
+      chess.START_FEN,
+      botLevel ? 'active' : 'waiting',
+      timeControl || null,
+      clocks.white_time_ms,
+      clocks.black_time_ms,
+      botLevel,
+      Boolean(rated)
+    ]
+  );
+
+  const game = result.rows[0];
+  if (botLevel && seat === 'black') scheduleBotMove(game.id);
+  return game;
+}
+
+// Seat `userId` in the free seat of a waiting game and start it. Invite-only
+// games need the game's invite token.
+async function joinGame(gameId, userId, inviteToken = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const gameResult = await client.query('SELECT * FROM chess_games WHERE id = $1 FOR UPDATE', [gameId]);
+    const game = gameResult.rows[0];
+    if (!game) {
+      throw new GameError('Game not found', 404);
+    }
+    if (playerColor(game, userId)) {
+      throw new GameError('You cannot join your own game', 409);
+    }
+    if (game.status !== 'waiting' || (game.white_player_id && game.black_player_id)) {
+      throw new GameError('This game is already full', 409);
+    }
+    if (!game.is_open && inviteToken !== game.invite_token) {
+      throw new GameError('This game can only be joined with its invite link', 403);
+    }
+
+    const seat = game.white_player_id ? 'black_player_id' : 'white_player_id';
+    const updated = await client.query(
+      `UPDATE chess_games SET ${seat} = $1, status = 'active', updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [userId, gameId]
+    );
+    await live.publish(client, gameId, 'join', { color: seat === 'white_player_id' ? 'w' : 'b' });
+
+    await client.query('COMMIT');
+    return updated.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function findGameByInvite(token) {
+  const result = await pool.query(
+    `SELECT g.*, u.name AS creator_name
+     FROM chess_games g
+     LEFT JOIN users u ON g.created_by = u.id
+     WHERE g.invite_token = $1`,
+    [token]
+  );
+  return result.rows[0] || null;
+}
+
+// Everything the game page needs: the game with both player names, its moves
+// and player actions in order, the viewer's seat and, when it is their turn, their legal moves.
+// Rated games also carry both players' ratings and, once finished, what the
+// game did to them. The invite token is only shown to the players.
+async function getGameState(gameId, userId = null) {
+  const gameResult = await pool.query(
+    `SELECT g.*,
+            u1.name AS white_player_name,
+            u2.name AS black_player_name,
+            COALESCE(h1.rating, r1.rating) AS white_rating,
+            COALESCE(h2.rating, r2.rating) AS black_rating,
+            h1.rating_change AS white_rating_change,
+            h2.rating_change AS black_rating_change
+     FROM chess_games g
+     LEFT JOIN users u1 ON g.white_player_id = u1.id
+     LEFT JOIN users u2 ON g.black_player_id = u2.id
+     LEFT JOIN chess_ratings r1 ON g.rated AND r1.user_id = g.white_player_id
+     LEFT JOIN chess_ratings r2 ON g.rated AND r2.user_id = g.black_player_id
+     LEFT JOIN chess_rating_history h1 ON h1.game_id = g.id AND h1.user_id = g.white_player_id
+     LEFT JOIN chess_rating_history h2 ON h2.game_id = g.id AND h2.user_id = g.black_player_id
+     WHERE g.id = $1`,
+    [gameId]
+  );
+  const game = gameResult.rows[0];
+  if (!game) return null;
+
+  const movesResult = await pool.query(
+    `SELECT id, player_id, move_notation, move_uci, board_state, white_time_ms, black_time_ms, created_at
+     FROM chess_moves
+     WHERE game_id = $1
+     ORDER BY id`,
+    [gameId]
+  );
+
+  const eventsResult = await pool.query(
+    `SELECT e.type, e.color, e.created_at, u.name AS player_name
+     FROM chess_game_events e
+     LEFT JOIN users u ON e.user_id = u.id
+     WHERE e.game_id = $1
+     ORDER BY e.id`,
+    [gameId]
+  );
+
+  const color = userId ? playerColor(game, userId) : null;
+  if (!color) delete game.invite_token;
+
+  const position = chess.parseFen(game.board_state);
+  const canMove = game.status === 'active' && color && (game.is_analysis || color === position.turn);
+  const legalMoves = canMove ? chess.legalMoves(position).map(chess.toUci) : [];
+
+  // `now` lets the page correct for its own clock when counting down
+  return { game, moves: movesResult.rows, events: eventsResult.rows, color, legalMoves, now: Date.now() };
+}
+
+// End a game whose side to move ran out of time. The opponent wins unless
+// they have nothing left to mate with.
+async function finishOnTime(client, game) {
+  const position = chess.parseFen(game.board_state);
+  const winner = position.turn === 'w' ? 'b' : 'w';
+  const canWin = chess.hasMatingMaterial(position, winner);
+  const result = canWin ? (winner === 'w' ? '1-0' : '0-1') : '1/2-1/2';
+  const clockColumn = position.turn === 'w' ? 'white_time_ms' : 'black_time_ms';
+
+  const updated = await client.query(
+    `UPDATE chess_games
+     SET status = 'finished', result = $1, termination = $2, turn_deadline = NULL,
+         ${clockColumn} = CASE WHEN ${clockColumn} IS NULL THEN NULL ELSE 0 END,
+         updated_at = NOW()
+     WHERE id = $3
+     RETURNING *`,
+    [result, canWin ? 'timeout' : 'timeout_vs_insufficient_material', game.id]
+  );
+  await ratings.applyGameRatings(client, updated.rows[0]);
+  await live.publish(client, game.id, 'timeout', { color: position.turn, result });
+  return updated.rows[0];
+}
+
+// Flag every game whose deadline has passed, whether or not anyone is
+// watching. Safe to run on every replica: rows another replica is already
+// handling are skipped and each deadline is checked again under the lock.
+async function flagExpiredGames() {
+  const expired = await pool.query(
+    `SELECT id FROM chess_games WHERE status = 'active' AND turn_deadline <= $1`,
+    [new Date()]
+  );
+
+  for (const { id } of expired.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query(
+        `SELECT * FROM chess_games
+         WHERE id = $1 AND status = 'active' AND turn_deadline <= $2
+         FOR UPDATE SKIP LOCKED`,
+        [id, new Date()]
+      );
+      const finished = locked.rows[0] && await finishOnTime(client, locked.rows[0]);
+      await client.query('COMMIT');
+      if (finished) countFinished(finished);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(`Error flagging game ${id}:`, err);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+function startFlagWatcher(interval = 2000) {
+  return setInterval(() => {
+    flagExpiredGames().catch(err => console.error('Error checking chess clocks:', err));
+  }, interval);
+}
+
+function startBotWatcher(interval = 30000) {
+  return setInterval(() => {
+    resumeBotGames().catch(err => console.error('Error resuming bot games:', err));
+  }, interval);
+}
+
+// Create an analysis game for `userId` from PGN or a bare FEN. PGN moves are
+// stored as the game's history and play continues from the final position.
+async function importGame(userId, text) {
+  const input = typeof text === 'string' ? text.trim() : '';
+  let parsed;
+  try {
+    if (/^[1-8pnbrqk]+(\/[1-8pnbrqk]+){7}\s/i.test(input)) {
+      const position = chess.parseFen(input);
+      parsed = { initialFen: chess.toFen(position), moves: [], outcome: chess.getOutcome(position) };
+    } else {
+      parsed = pgn.parsePgn(input);
+    }
+  } catch (err) {
+    if (err instanceof chess.InvalidFenError || err instanceof pgn.PgnError) {
+      throw new GameError(err.message);
+    }
+    throw err;
+  }
+
+  const finalFen = parsed.moves.length > 0 ? parsed.moves[parsed.moves.length - 1].fen : parsed.initialFen;
+  const outcome = parsed.outcome;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const gameResult = await client.query(
+      `INSERT INTO chess_games
+         (white_player_id, black_player_id, created_by, is_open, is_analysis, board_state, initial_fen,
+          status, result, termination)
+       VALUES ($1, $1, $1, false, true, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        userId,
+        finalFen,
+        parsed.initialFen,
+        outcome ? 'finished' : 'active',
+        outcome?.result || null,
+        outcome?.termination || null
+      ]
+    );
+    const game = gameResult.rows[0];
+
+    if (parsed.moves.length > 0) {
+      await client.query(
+        `INSERT INTO chess_moves (game_id, player_id, move_notation, move_uci, board_state)
+         SELECT $1, $2, m.san, m.uci, m.fen
+         FROM unnest($3::text[], $4::text[], $5::text[]) WITH ORDINALITY AS m(san, uci, fen, ord)
+         ORDER BY m.ord`,
+        [
+          game.id,
+          userId,
+          parsed.moves.map(m => m.san),
+          parsed.moves.map(m => m.uci),
+          parsed.moves.map(m => m.fen)
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+    return game;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// PGN of one game, or null if it does not exist
+async function exportGame(gameId, options) {
+  const state = await getGameState(gameId);
+  if (!state) return null;
+  return pgn.toPgn(state.game, state.moves, options);
+}
+
+// PGN archive of every game `userId` has played or is playing
+async function exportUserGames(userId, options) {
+  const games = await pool.query(
+    `SELECT g.*,
+            u1.name AS white_player_name,
+            u2.name AS black_player_name
+     FROM chess_games g
+     LEFT JOIN users u1 ON g.white_player_id = u1.id
+     LEFT JOIN users u2 ON g.black_player_id = u2.id
+     WHERE (g.white_player_id = $1 OR g.black_player_id = $1)
+       AND g.status IN ('active', 'finished')
+     ORDER BY g.created_at`,
+    [userId]
+  );
+  if (games.rows.length === 0) return '';
+
+  const moves = await pool.query(
+    `SELECT game_id, move_notation
+     FROM chess_moves
+     WHERE game_id = ANY($1::int[])
+     ORDER BY game_id, id`,
+    [games.rows.map(g => g.id)]
+  );
+  const movesByGame = new Map();
+  for (const move of moves.rows) {
+    if (!movesByGame.has(move.game_id)) movesByGame.set(move.game_id, []);
+    movesByGame.get(move.game_id).push(move);
+  }
+
+  return games.rows
+    .map(game => pgn.toPgn(game, movesByGame.get(game.id) || [], options))
+    .join('\n');
+}
+
+// Validate and play a move for `userId` in one transaction. The game row is
+// locked so two requests for the same game cannot both pass the turn check.
+// Moving turns down an open draw offer or takeback request from the opponent.
+async function playMove(gameId, userId, moveInput) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const gameResult = await client.query('SELECT * FROM chess_games WHERE id = $1 FOR UPDATE', [gameId]);
+    const game = gameResult.rows[0];
+    if (!game) {
+      throw new GameError('Game not found', 404);
+    }
+
+    const seat = playerColor(game, userId);
+    if (!seat) {
+      throw new GameError('You are not a player in this game', 403);
+    }
+    if (game.status !== 'active') {
+      throw new GameError('This game is not in progress', 409);
+    }
+
+    // In analysis games the owner sits on both sides and moves for either
+    const position = chess.parseFen(game.board_state);
+    const color = game.is_analysis ? position.turn : seat;
+    if (position.turn !== color) {
+      throw new GameError('It is not your turn', 409);
+    }
+
+    const history = await client.query(
+      'SELECT board_state FROM chess_moves WHERE game_id = $1 ORDER BY id',
+      [gameId]
+    );
+
+    const clocks = clock.clocksAfterMove(game, color, Date.now(), history.rows.length + 1);
+    if (clocks.flagged) {
+      // Keep the loss on time; the ROLLBACK below is then a no-op
+      const finished = await finishOnTime(client, game);
+      await client.query('COMMIT');
+      countFinished(finished);
+      throw new GameError('Your time has run out', 409);
+    }
+
+    let move;
+    try {
+      move = chess.findMove(position, moveInput);
+    } catch (err) {
+      if (err instanceof chess.IllegalMoveError) throw new GameError(err.message, 400);
+      throw err;
+    }
+
+    const san = chess.toSan(position, move);
+    const fen = chess.toFen(chess.applyMove(position, move));
+
+    const outcome = chess.getOutcome(chess.parseFen(fen), [
+      game.initial_fen,
+      ...history.rows.map(row => row.board_state),
+      fen
+    ]);
+
+    const moveResult = await client.query(
+      `INSERT INTO chess_moves
+         (game_id, player_id, move_notation, move_uci, board_state, white_time_ms, black_time_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [gameId, userId, san, chess.toUci(move), fen, clocks.white_time_ms, clocks.black_time_ms]
+    );
+
+    const updated = await client.query(
+      `UPDATE chess_games
+       SET board_state = $1, status = $2, result = $3, termination = $4,
+           white_time_ms = $5, black_time_ms = $6, turn_deadline = $7,
+           draw_offer = NULLIF(draw_offer, $8), takeback_request = NULL, updated_at = NOW()
+       WHERE id = $9
+       RETURNING *`,
+      [
+        fen,
+        outcome ? 'finished' : 'active',
+        outcome?.result || null,
+        outcome?.termination || null,
+        clocks.white_time_ms,
+        clocks.black_time_ms,
+        outcome ? null : clocks.turn_deadline,
+        color === 'w' ? 'b' : 'w',
+        gameId
+      ]
+    );
+    await ratings.applyGameRatings(client, updated.rows[0]);
+    await live.publish(client, gameId, 'move', { color, san, uci: chess.toUci(move), status: updated.rows[0].status });
+
+    await client.query('COMMIT');
+    movesPlayed.inc();
+    countFinished(updated.rows[0]);
+
+    if (game.bot_level && updated.rows[0].status === 'active') scheduleBotMove(gameId);
+    return { game: updated.rows[0], move: moveResult.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+const ACTIONS = [
+  'resign',
+  'offer_draw',
+  'accept_draw',
+  'decline_draw',
+  'request_takeback',
+  'accept_takeback',
+  'decline_takeback',
+  'abort'
+];
+
+// Either player may abort until both have moved; the creator may also call
+// off a challenge nobody has accepted yet
+function canAbort(game, plies) {
+  if (game.status === 'waiting') return true;
+  return game.status === 'active' && !game.is_analysis && plies < 2;
+}
+
+// Take back the latest move, restoring the position and both clocks to what
+// they were before it
+async function takeBack(client, game) {
+  await client.query(
+    'DELETE FROM chess_moves WHERE id = (SELECT MAX(id) FROM chess_moves WHERE game_id = $1)',
+    [game.id]
+  );
+  const previous = await client.query(
+    `SELECT board_state, white_time_ms, black_time_ms,
+            (SELECT COUNT(*) FROM chess_moves WHERE game_id = $1)::int AS plies
+     FROM chess_moves
+     WHERE game_id = $1
+     ORDER BY id DESC
+     LIMIT 1`,
+    [game.id]
+  );
+  const last = previous.rows[0] || {
+    board_state: game.initial_fen,
+    ...clock.initialClocks(game.time_control),
+    plies: 0
+  };
+  const turn = last.board_state.split(' ')[1];
+  const deadline = clock.turnDeadline(
+    game,
+    turn === 'w' ? last.white_time_ms : last.black_time_ms,
+    Date.now(),
+    last.plies
+  );
+
+  const updated = await client.query(
+    `UPDATE chess_games
+     SET board_state = $1, white_time_ms = $2, black_time_ms = $3, turn_deadline = $4,
+         draw_offer = NULL, takeback_request = NULL, updated_at = NOW()
+     WHERE id = $5
+     RETURNING *`,
+    [last.board_state, last.white_time_ms, last.black_time_ms, deadline, game.id]
+  );
+  return updated.rows[0];
+}
+
+// End a game by resignation, agreement or abort, stopping the clocks
+async function endGame(client, game, status, result, termination) {
+  const turn = game.board_state.split(' ')[1];
+  const clocks = clock.clocksAtStop(game, turn, Date.now());
+  const updated = await client.query(
+    `UPDATE chess_games
+     SET status = $1, result = $2, termination = $3, white_time_ms = $4, black_time_ms = $5,
+         turn_deadline = NULL, draw_offer = NULL, takeback_request = NULL, updated_at = NOW()
+     WHERE id = $6
+     RETURNING *`,
+    [status, result, termination, clocks.white_time_ms, clocks.black_time_ms, game.id]
+  );
+  await ratings.applyGameRatings(client, updated.rows[0]);
+  return updated.rows[0];
+}
+
+async function setOffers(client, gameId, drawOffer, takebackRequest) {
+  const updated = await client.query(
+    `UPDATE chess_games SET draw_offer = $1, takeback_request = $2, updated_at = NOW()
+     WHERE id = $3
+     RETURNING *`,
+    [drawOffer, takebackRequest, gameId]
+  );
+  return updated.rows[0];
+}
+
+// Carry out one of ACTIONS for `userId` in one transaction, record it in the
+// game's events and tell everyone watching. In analysis games, where the
+// owner plays both sides, only takebacks make sense and they apply at once.
+async function performAction(gameId, userId, action) {
+  if (!ACTIONS.includes(action)) {
+    throw new GameError('Unknown action');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const gameResult = await client.query('SELECT * FROM chess_games WHERE id = $1 FOR UPDATE', [gameId]);
+    let game = gameResult.rows[0];
+    if (!game) {
+      throw new GameError('Game not found', 404);
+    }
+
+    const seat = playerColor(game, userId);
+    if (!seat) {
+      throw new GameError('You are not a player in this game', 403);
+    }
+
+    const countResult = await client.query('SELECT COUNT(*)::int AS plies FROM chess_moves WHERE game_id = $1', [gameId]);
+    const plies = countResult.rows[0].plies;
+    const turn = game.board_state.split(' ')[1];
+    const color = game.is_analysis ? (turn === 'w' ? 'b' : 'w') : seat;
+    const opponent = color === 'w' ? 'b' : 'w';
+
+    if (action === 'abort') {
+      if (!canAbort(game, plies)) {
+        throw new GameError('This game can no longer be aborted', 409);
+      }
+    } else {
+      if (game.status !== 'active') {
+        throw new GameError('This game is not in progress', 409);
+      }
+      if (game.is_analysis && action !== 'request_takeback') {
+        throw new GameError('Analysis boards can only take moves back', 409);
+      }
+      if (game.bot_level && action !== 'resign') {
+        throw new GameError('The computer does not accept draw offers or takebacks', 409);
+      }
+      if (game.turn_deadline && new Date(game.turn_deadline).getTime() <= Date.now()) {
+        // Keep the loss on time; the ROLLBACK below is then a no-op
+        const finished = await finishOnTime(client, game);
+        await client.query('COMMIT');
+        countFinished(finished);
+        throw new GameError('Time has run out', 409);
+      }
+    }
+
+    let type = action;
+    switch (action) {
+      case 'resign':
+        game = await endGame(client, game, 'finished', color === 'w' ? '0-1' : '1-0', 'resignation');
+        break;
+
+      case 'offer_draw':
+        if (game.draw_offer === opponent) {
+          // Offering back is as good as accepting
+          type = 'accept_draw';
+          game = await endGame(client, game, 'finished', '1/2-1/2', 'agreement');
+        } else if (game.draw_offer === color) {
+          throw new GameError('You have already offered a draw', 409);
+        } else {
+          game = await setOffers(client, gameId, color, game.takeback_request);
+        }
+        break;
+
+      case 'accept_draw':
+      case 'decline_draw':
+        if (game.draw_offer !== opponent) {
+          throw new GameError('There is no draw offer to answer', 409);
+        }
+        game = action === 'accept_draw'
+          ? await endGame(client, game, 'finished', '1/2-1/2', 'agreement')
+          : await setOffers(client, gameId, null, game.takeback_request);
+        break;
+
+      case 'request_takeback':
+        if (plies === 0 || turn === color) {
+          throw new GameError('You can only take back your own last move', 409);
+        }
+        if (game.takeback_request === color) {
+          throw new GameError('You have already asked for a takeback', 409);
+        }
+        if (game.is_analysis) {
+          type = 'accept_takeback';
+          game = await takeBack(client, game);
+        } else {
+          game = await setOffers(client, gameId, game.draw_offer, color);
+        }
+        break;
+
+      case 'accept_takeback':
+      case 'decline_takeback':
+        if (game.takeback_request !== opponent) {
+          throw new GameError('There is no takeback request to answer', 409);
+        }
+        game = action === 'accept_takeback'
+          ? await takeBack(client, game)
+          : await setOffers(client, gameId, game.draw_offer, null);
+        break;
+
+      case 'abort':
+        game = await endGame(client, game, 'aborted', null, null);
+        break;
+    }
+
+    await client.query(
+      'INSERT INTO chess_game_events (game_id, user_id, color, type) VALUES ($1, $2, $3, $4)',
+      [gameId, userId, color, type]
+    );
+    await live.publish(client, gameId, type, { color, status: game.status });
+
+    await client.query('COMMIT');
+    countFinished(game);
+    return game;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Games whose bot is currently searching on this replica
+const thinking = new Set();
+
+// Let the computer move if it is its turn. Harmless to call at any time:
+// if a human is to move, or another replica got there first, nothing happens.
+async function playBotMove(gameId) {
+  const id = Number(gameId);
+  if (thinking.has(id)) return;
+  thinking.add(id);
+
+  try {
+    const result = await pool.query(
+      `SELECT g.board_state, g.status, g.bot_level,
+              w.id AS white_id, w.is_bot AS white_is_bot,
+              b.id AS black_id, b.is_bot AS black_is_bot
+       FROM chess_games g
+       JOIN users w ON g.white_player_id = w.id
+       JOIN users b ON g.black_player_id = b.id
+       WHERE g.id = $1`,
+      [id]
+    );
+    const game = result.rows[0];
+    if (!game || game.status !== 'active' || !game.bot_level) return;
+
+    const turn = game.board_state.split(' ')[1];
+    const botId = turn === 'w'
+      ? (game.white_is_bot ? game.white_id : null)
+      : (game.black_is_bot ? game.black_id : null);
+    if (!botId) return;
+
+    const move = await bot.think(game.board_state, game.bot_level);
+    try {
+      await playMove(id, botId, move);
+    } catch (err) {
+      // The position moved on while we were thinking
+      if (!(err instanceof GameError)) throw err;
+    }
+  } finally {
+    thinking.delete(id);
+  }
+}
+
+function scheduleBotMove(gameId) {
+  setImmediate(() => {
+    playBotMove(gameId).catch(err => console.error(`Error playing bot move in game ${gameId}:`, err));
+  });
+}
+
+// Pick up bot games left waiting on the computer, e.g. after a restart
+async function resumeBotGames() {
+  const result = await pool.query(
+    `SELECT g.id
+     FROM chess_games g
+     JOIN users w ON g.white_player_id = w.id
+     JOIN users b ON g.black_player_id = b.id
+     WHERE g.status = 'active'
+       AND g.bot_level IS NOT NULL
+       AND g.updated_at < NOW() - INTERVAL '30 seconds'
+       AND ((split_part(g.board_state, ' ', 2) = 'w' AND w.is_bot)
+         OR (split_part(g.board_state, ' ', 2) = 'b' AND b.is_bot))`
+  );
+  result.rows.forEach(row => scheduleBotMove(row.id));
+}
+
+module.exports = {
+  GameError,
+  playerColor,
+  createGame,
+  joinGame,
+  findGameByInvite,
+  getGameState,
+  importGame,
+  exportGame,
+  exportUserGames,
+  playMove,
+  ACTIONS,
+  performAction,
+  startFlagWatcher,
+  startBotWatcher
+};
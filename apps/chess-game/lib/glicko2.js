@@ -0,0 +1,86 @@
+// Glicko-2 rating system (Glickman, "Example of the Glicko-2 system").
+// Ratings are { rating, rd, volatility } on the familiar 1500 scale.
+
+const SCALE = 173.7178;
+const TAU = 0.5;
+const EPSILON = 0.000001;
+const MIN_RD = 30;
+const MAX_RD = 350;
+
+const DEFAULT_RATING = { rating: 1500, rd: 350, volatility: 0.06 };
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+const expected = (mu, muJ, phiJ) => 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+
+function newVolatility(sigma, phi, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+// Rate `player` after one rating period of `results`, each
+// { rating, rd, score } with score 1 for a win, 0.5 for a draw, 0 for a loss.
+function rate(player, results) {
+  const mu = (player.rating - 1500) / SCALE;
+  const phi = player.rd / SCALE;
+
+  if (results.length === 0) {
+    const rd = Math.min(MAX_RD, Math.sqrt(phi * phi + player.volatility * player.volatility) * SCALE);
+    return { ...player, rd };
+  }
+
+  let vInverse = 0;
+  let improvement = 0;
+  for (const result of results) {
+    const muJ = (result.rating - 1500) / SCALE;
+    const phiJ = result.rd / SCALE;
+    const E = expected(mu, muJ, phiJ);
+    vInverse += g(phiJ) * g(phiJ) * E * (1 - E);
+    improvement += g(phiJ) * (result.score - E);
+  }
+  const v = 1 / vInverse;
+  const delta = v * improvement;
+
+  const volatility = newVolatility(player.volatility, phi, v, delta);
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+  const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const muNew = mu + phiNew * phiNew * improvement;
+
+  return {
+    rating: muNew * SCALE + 1500,
+    rd: Math.min(MAX_RD, Math.max(MIN_RD, phiNew * SCALE)),
+    volatility
+  };
+}
+
+module.exports = { DEFAULT_RATING, rate };
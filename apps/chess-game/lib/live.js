@@ -0,0 +1,62 @@
+const { listen, notify } = require('@my-platform/database');
+
+// Game events are published with NOTIFY so that every replica hears them and
+// forwards them to the browsers it holds open event streams for.
+const CHANNEL = 'chess_game_events';
+const HEARTBEAT_INTERVAL = 25000;
+
+const streams = new Map(); // gameId -> Set of open responses
+
+function deliver(payload) {
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (err) {
+    console.error('Ignoring malformed chess event:', payload);
+    return;
+  }
+
+  const listeners = streams.get(event.gameId);
+  if (!listeners) return;
+  const message = `data: ${JSON.stringify(event)}\n\n`;
+  listeners.forEach(res => res.write(message));
+}
+
+function start() {
+  return listen(CHANNEL, deliver);
+}
+
+// Announce something that happened in a game, e.g. publish(client, 12, 'move', { san: 'e4' }).
+// Inside a transaction, pass its client so nothing is sent on rollback.
+function publish(db, gameId, type, data = {}) {
+  return notify(CHANNEL, { gameId: Number(gameId), type, data }, db);
+}
+
+// Turn `res` into a Server-Sent Events stream for one game
+function subscribe(gameId, req, res) {
+  const id = Number(gameId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  if (!streams.has(id)) streams.set(id, new Set());
+  streams.get(id).add(res);
+
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const listeners = streams.get(id);
+    listeners.delete(res);
+    if (listeners.size === 0) streams.delete(id);
+  });
+}
+
+module.exports = { start, publish, subscribe };
@@ -0,0 +1,189 @@
+// PGN export of stored games and import of PGN text, replayed through the
+// rules engine so that only legal games get in.
+
+const chess = require('./chess');
+const { parseTimeControl } = require('./clock');
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+const MAX_IMPORT_PLIES = 1000;
+
+class PgnError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PgnError';
+  }
+}
+
+// Export
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function pgnDate(date) {
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return '????.??.??';
+  return `${d.getFullYear()}.${String(d.getMonth() + 1).padStart(2, '0')}.${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function pgnTimeControl(timeControl) {
+  const control = parseTimeControl(timeControl);
+  if (!control) return '-';
+  if (control.type === 'live') return `${control.initialMs / 1000}+${control.incrementMs / 1000}`;
+  return `1/${control.moveMs / 1000}`;
+}
+
+// Break movetext into lines of at most 79 characters, as the PGN spec asks
+function wrap(tokens) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + token.length + 1 > 79) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+// `game` needs white_player_name/black_player_name; `moves` are its
+// chess_moves rows in order.
+function toPgn(game, moves, { site = '?' } = {}) {
+  const result = game.result || '*';
+  let event = game.rated ? 'Rated game' : 'Casual game';
+  if (game.is_analysis) event = 'Analysis';
+  const tags = [
+    ['Event', event],
+    ['Site', site],
+    ['Date', pgnDate(game.created_at)],
+    ['Round', '-'],
+    ['White', game.white_player_name || '?'],
+    ['Black', game.black_player_name || '?'],
+    ['Result', result]
+  ];
+
+  if (game.initial_fen && game.initial_fen !== chess.START_FEN) {
+    tags.push(['SetUp', '1'], ['FEN', game.initial_fen]);
+  }
+  tags.push(['TimeControl', pgnTimeControl(game.time_control)]);
+  if (game.termination) {
+    tags.push(['Termination', game.termination.startsWith('timeout') ? 'time forfeit' : 'normal']);
+  }
+
+  const [, startTurn, , , , startMove] = (game.initial_fen || chess.START_FEN).split(' ');
+  let moveNumber = Number(startMove) || 1;
+  const tokens = [];
+  moves.forEach((move, i) => {
+    const whiteMoved = (i % 2 === 0) === (startTurn === 'w');
+    if (whiteMoved) tokens.push(`${moveNumber}.`);
+    else if (i === 0) tokens.push(`${moveNumber}...`);
+    tokens.push(move.move_notation);
+    if (!whiteMoved) moveNumber++;
+  });
+  tokens.push(result);
+
+  const header = tags.map(([name, value]) => `[${name} "${escapeTag(value)}"]`).join('\n');
+  return `${header}\n\n${wrap(tokens)}\n`;
+}
+
+// Import
+
+// Split the first game of a PGN file into its tags and movetext
+function splitGame(text) {
+  const tags = {};
+  const movetext = [];
+
+  for (const line of text.replace(/\r/g, '').split('\n')) {
+    const tag = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/.exec(line);
+    if (tag) {
+      if (movetext.some((l) => l.trim())) break; // next game starts
+      tags[tag[1]] = tag[2].replace(/\\(.)/g, '$1');
+    } else {
+      movetext.push(line);
+    }
+  }
+
+  return { tags, movetext: movetext.join('\n') };
+}
+
+function tokenize(movetext) {
+  let text = movetext
+    .replace(/\{[^}]*\}/g, ' ')
+    .replace(/;[^\n]*/g, ' ')
+    .replace(/^%[^\n]*/gm, ' ');
+
+  // Variations can nest, so peel them from the inside out
+  while (/\([^()]*\)/.test(text)) {
+    text = text.replace(/\([^()]*\)/g, ' ');
+  }
+  if (/[()]/.test(text)) {
+    throw new PgnError('Unbalanced parentheses in PGN movetext');
+  }
+
+  return text
+    .replace(/\$\d+/g, ' ')
+    .split(/\s+/)
+    .map((token) => token.replace(/^\d+\.+/, ''))
+    .filter((token) => token && !/^\.+$/.test(token));
+}
+
+// Returns the starting FEN, every move with the position it leads to, the
+// PGN tags and the engine's verdict on the final position.
+function parsePgn(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new PgnError('PGN is empty');
+  }
+
+  const { tags, movetext } = splitGame(text);
+
+  let position;
+  try {
+    position = chess.parseFen(tags.FEN || chess.START_FEN);
+  } catch (err) {
+    if (err instanceof chess.InvalidFenError) throw new PgnError(`Invalid FEN tag: ${err.message}`);
+    throw err;
+  }
+  const initialFen = chess.toFen(position);
+
+  const moves = [];
+  const history = [initialFen];
+  let result = null;
+
+  for (const token of tokenize(movetext)) {
+    if (RESULTS.includes(token)) {
+      result = token;
+      break;
+    }
+    if (moves.length >= MAX_IMPORT_PLIES) {
+      throw new PgnError(`Games longer than ${MAX_IMPORT_PLIES} moves cannot be imported`);
+    }
+
+    let move;
+    try {
+      move = chess.findMove(position, token);
+    } catch (err) {
+      if (!(err instanceof chess.IllegalMoveError)) throw err;
+      const number = position.fullmove + (position.turn === 'w' ? '.' : '...');
+      throw new PgnError(`Illegal move ${number} ${token} in PGN`);
+    }
+
+    const san = chess.toSan(position, move);
+    position = chess.applyMove(position, move);
+    const fen = chess.toFen(position);
+    history.push(fen);
+    moves.push({ san, uci: chess.toUci(move), fen });
+  }
+
+  return {
+    tags,
+    initialFen,
+    moves,
+    result: result || tags.Result || '*',
+    outcome: chess.getOutcome(position, history)
+  };
+}
+
+module.exports = { PgnError, toPgn, parsePgn };
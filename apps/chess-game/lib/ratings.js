@@ -0,0 +1,128 @@
+// Player ratings: every finished rated game is its own Glicko-2 rating
+// period for both players, applied in the transaction that ends the game.
+
+const { pool } = require('@my-platform/database');
+const glicko2 = require('./glicko2');
+
+// Ratings with a deviation above this are shown as provisional
+const PROVISIONAL_RD = 110;
+
+const SCORES = { '1-0': [1, 0], '0-1': [0, 1], '1/2-1/2': [0.5, 0.5] };
+
+// Update both players' ratings for a game that has just finished. `client`
+// must be the transaction that finished it. Does nothing for casual or
+// unfinished games, or if the game has been rated already.
+async function applyGameRatings(client, game) {
+  if (!game.rated || game.status !== 'finished' || !SCORES[game.result]) return null;
+  if (!game.white_player_id || !game.black_player_id || game.white_player_id === game.black_player_id) return null;
+
+  const done = await client.query('SELECT 1 FROM chess_rating_history WHERE game_id = $1 LIMIT 1', [game.id]);
+  if (done.rows.length > 0) return null;
+
+  const playerIds = [game.white_player_id, game.black_player_id];
+  await client.query(
+    `INSERT INTO chess_ratings (user_id) SELECT unnest($1::int[]) ON CONFLICT (user_id) DO NOTHING`,
+    [playerIds]
+  );
+  // Lock in id order so two games finishing at once cannot deadlock
+  const current = await client.query(
+    'SELECT * FROM chess_ratings WHERE user_id = ANY($1::int[]) ORDER BY user_id FOR UPDATE',
+    [playerIds]
+  );
+  const byUser = new Map(current.rows.map(row => [row.user_id, row]));
+  const white = byUser.get(game.white_player_id);
+  const black = byUser.get(game.black_player_id);
+  const [whiteScore, blackScore] = SCORES[game.result];
+
+  const changes = {};
+  for (const [player, opponent, score] of [[white, black, whiteScore], [black, white, blackScore]]) {
+    const next = glicko2.rate(player, [{ rating: opponent.rating, rd: opponent.rd, score }]);
+    const change = next.rating - player.rating;
+
+    await client.query(
+      `UPDATE chess_ratings
+       SET rating = $1, rd = $2, volatility = $3, games_played = games_played + 1, updated_at = NOW()
+       WHERE user_id = $4`,
+      [next.rating, next.rd, next.volatility, player.user_id]
+    );
+    await client.query(
+      `INSERT INTO chess_rating_history (user_id, game_id, rating, rd, volatility, rating_change)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [player.user_id, game.id, next.rating, next.rd, next.volatility, change]
+    );
+    changes[player.user_id === game.white_player_id ? 'w' : 'b'] = { rating: next.rating, change };
+  }
+  return changes;
+}
+
+async function getLeaderboard(limit = 100) {
+  const result = await pool.query(
+    `SELECT r.user_id, r.rating, r.rd, r.games_played, u.name
+     FROM chess_ratings r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.games_played > 0 AND NOT u.is_bot
+     ORDER BY (r.rd > $1), r.rating DESC
+     LIMIT $2`,
+    [PROVISIONAL_RD, limit]
+  );
+  return result.rows;
+}
+
+// Rating, rating history, overall record and recent games of one player,
+// or null if there is no such user
+async function getPlayerProfile(userId) {
+  const userResult = await pool.query('SELECT id, name, is_bot, created_at FROM users WHERE id = $1', [userId]);
+  const player = userResult.rows[0];
+  if (!player) return null;
+
+  const ratingResult = await pool.query('SELECT * FROM chess_ratings WHERE user_id = $1', [userId]);
+  const rating = ratingResult.rows[0] || { ...glicko2.DEFAULT_RATING, games_played: 0 };
+
+  const history = await pool.query(
+    `SELECT game_id, rating, rd, rating_change, created_at
+     FROM chess_rating_history
+     WHERE user_id = $1
+     ORDER BY created_at, id`,
+    [userId]
+  );
+
+  // Analysis boards are one person playing both sides, so they do not count
+  const record = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE (result = '1-0' AND white_player_id = $1) OR (result = '0-1' AND black_player_id = $1)) AS wins,
+       COUNT(*) FILTER (WHERE result = '1/2-1/2') AS draws,
+       COUNT(*) FILTER (WHERE (result = '0-1' AND white_player_id = $1) OR (result = '1-0' AND black_player_id = $1)) AS losses
+     FROM chess_games
+     WHERE (white_player_id = $1 OR black_player_id = $1)
+       AND status = 'finished'
+       AND NOT is_analysis`,
+    [userId]
+  );
+
+  const recent = await pool.query(
+    `SELECT g.id, g.result, g.termination, g.rated, g.time_control, g.updated_at,
+            CASE WHEN g.white_player_id = $1 THEN 'w' ELSE 'b' END AS color,
+            o.id AS opponent_id, o.name AS opponent_name,
+            h.rating_change
+     FROM chess_games g
+     LEFT JOIN users o ON o.id = CASE WHEN g.white_player_id = $1 THEN g.black_player_id ELSE g.white_player_id END
+     LEFT JOIN chess_rating_history h ON h.game_id = g.id AND h.user_id = $1
+     WHERE (g.white_player_id = $1 OR g.black_player_id = $1)
+       AND g.status = 'finished'
+       AND NOT g.is_analysis
+     ORDER BY g.updated_at DESC
+     LIMIT 20`,
+    [userId]
+  );
+
+  const counts = record.rows[0];
+  return {
+    player,
+    rating: { ...rating, provisional: rating.rd > PROVISIONAL_RD },
+    history: history.rows,
+    record: { wins: Number(counts.wins), draws: Number(counts.draws), losses: Number(counts.losses) },
+    recentGames: recent.rows
+  };
+}
+
+module.exports = { PROVISIONAL_RD, applyGameRatings, getLeaderboard, getPlayerProfile };
@@ -1,221 +1,512 @@
 const express = require('express');
 const path = require('path');
-const { Pool } = require('pg');
-const session = require('express-session');
-const pgSession = require('connect-pg-simple')(session);
-const passport = require('passport');
-const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const { pool, migrate } = require('@my-platform/database');
+const { createSession, setupAuth, authRoutes, requireAuth } = require('@my-platform/auth');
+const { MINUTE, headers, csrf, rateLimit, rateLimits, errorHandler } = require('@my-platform/security');
+const { useJsonLogs, metrics, observe } = require('@my-platform/observability');
+const schedule = require('./lib/schedule');
+const quantity = require('./lib/quantity');
+const timezone = require('./lib/timezone');
+const reminders = require('./lib/reminders');
+const tokens = require('./lib/tokens');
+const backup = require('./lib/backup');
+const analytics = require('./lib/analytics');
+const organize = require('./lib/organize');
+const groups = require('./lib/groups');
+
+// JSON logs tagged with the request and user (@my-platform/observability)
+useJsonLogs('habit-tracker');
 
 const app = express();
 
 // 1. DATABASE CONNECTION (Must be before session config)
-const pool = new Pool({
-  user: process.env.POSTGRES_USER || 'postgres',
-  host: process.env.POSTGRES_HOST || 'postgres-service',
-  database: process.env.POSTGRES_DB || 'habitdb',
-  password: process.env.POSTGRES_PASSWORD || 'mysecretpassword',
-  port: 5432,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 2000,
-});
-
-pool.on('error', (err) => {
-  console.error('Unexpected database error:', err);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, closing database pool...');
-  await pool.end();
-  process.exit(0);
-});
+// The pool is shared with the other apps (@my-platform/database), which
+// also closes it on SIGTERM
+let stopReminders = () => {};
+process.on('SIGTERM', () => stopReminders());
 
 // 2. CONFIGURATION (Order is important!)
 // Explicitly tell Express where the views folder is using an absolute path
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'ejs');
 
+// Request ids, request logs and timings, plus /livez, /readyz and /metrics
+app.use(observe(pool));
+
+// Security headers and a content security policy on every response
+app.use(headers());
+
 // Middleware to parse form data (needed for Adding and Deleting)
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json()); // For API endpoints
 
-// Session configuration
-app.use(session({
-  store: new pgSession({
-    pool: pool,
-    tableName: 'session',
-    createTableIfMissing: true
-  }),
-  secret: process.env.SESSION_SECRET || 'your-secret-key-change-in-production',
-  resave: false,
-  saveUninitialized: false,
-  proxy: true, // Trust proxy (for Cloudflare Tunnel)
-  cookie: { 
-    secure: false, // Cloudflare Tunnel terminates HTTPS, app receives HTTP
-    httpOnly: true,
-    sameSite: 'lax', // Allow same-site POST requests
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
-  }
-}));
-
-// Passport initialization
+// Session configuration; the session is shared with the other apps, so
+// signing in here signs in everywhere (@my-platform/auth)
+app.use(createSession(pool));
+
+// Passport initialization; the ways to sign in come from @my-platform/auth
+const passport = setupAuth(pool, { baseURL: 'http://localhost:8080' });
 app.use(passport.initialize());
 app.use(passport.session());
 
-// Helper function to get local date in YYYY-MM-DD format
-function getLocalDate(date = new Date()) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
+// Limit how fast people can sign in and make changes, and make every change
+// carry the page's CSRF token (@my-platform/security)
+app.use(rateLimits(pool));
+app.use(csrf());
 
-// 3. DATABASE INITIALIZATION (Self-Healing Schema)
-const initDb = async () => {
-  try {
-    // Create users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        google_id TEXT UNIQUE NOT NULL,
-        email TEXT NOT NULL,
-        name TEXT,
-        picture TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create habits table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS habits (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        name TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        reminder_time TIME
-      )
-    `);
-    
-    // Add user_id column if it doesn't exist (migration)
-    await pool.query(`
-      ALTER TABLE habits 
-      ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-      ADD COLUMN IF NOT EXISTS reminder_time TIME
-    `);
-
-    // Create completions table to track daily check-ins
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS completions (
-        id SERIAL PRIMARY KEY,
-        habit_id INTEGER REFERENCES habits(id) ON DELETE CASCADE,
-        completed_date DATE NOT NULL DEFAULT CURRENT_DATE,
-        UNIQUE(habit_id, completed_date)
-      )
-    `);
-
-    console.log("✅ Database is ready and schema is up to date.");
-  } catch (err) {
-    console.error("❌ DB Init Error:", err);
-  }
-};
-initDb();
-
-// 4. GOOGLE OAUTH CONFIGURATION
-passport.use(new GoogleStrategy({
-    clientID: process.env.GOOGLE_CLIENT_ID,
-    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-    callbackURL: process.env.GOOGLE_CALLBACK_URL || "http://localhost:8080/auth/google/callback"
-  },
-  async (accessToken, refreshToken, profile, done) => {
-    try {
-      // Check if user exists
-      let result = await pool.query('SELECT * FROM users WHERE google_id = $1', [profile.id]);
-      
-      if (result.rows.length > 0) {
-        // User exists
-        return done(null, result.rows[0]);
-      } else {
-        // Create new user
-        const newUser = await pool.query(
-          'INSERT INTO users (google_id, email, name, picture) VALUES ($1, $2, $3, $4) RETURNING *',
-          [profile.id, profile.emails[0].value, profile.displayName, profile.photos[0]?.value]
-        );
-        return done(null, newUser.rows[0]);
-      }
-    } catch (err) {
-      return done(err, null);
-    }
-  }
-));
+// Helper function to get a date in YYYY-MM-DD format on the user's own clock
+function getLocalDate(user, date = new Date()) {
+  return timezone.localDate(user.timezone, date);
+}
 
-passport.serializeUser((user, done) => {
-  done(null, user.id);
+// 3. DATABASE MIGRATIONS
+// The schema lives in packages/database/migrations; reminders start once
+// it is up to date
+migrate().then(() => {
+  stopReminders = reminders.startReminderScheduler(pool);
+}).catch((err) => {
+  console.error("❌ Migration Error:", err);
+  process.exit(1);
 });
 
-passport.deserializeUser(async (id, done) => {
+// Quantitative habits keep a completions row for each day whose entries
+// reach the target, so streaks, schedules and reminders need not know
+// about amounts. Call after changing a day's entries.
+async function syncCompletion(db, habitId, date, backdated = false) {
+  const result = await db.query(
+    `SELECT h.target, COALESCE(SUM(e.amount), 0) as total
+     FROM habits h
+     LEFT JOIN habit_entries e ON e.habit_id = h.id AND e.entry_date = $2
+     WHERE h.id = $1
+     GROUP BY h.id`,
+    [habitId, date]
+  );
+  const habit = result.rows[0];
+  if (!habit || habit.target === null) return;
+
+  if (quantity.isComplete(habit.total, habit.target)) {
+    await db.query(
+      'INSERT INTO completions (habit_id, completed_date, backdated) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+      [habitId, date, backdated]
+    );
+  } else {
+    await db.query('DELETE FROM completions WHERE habit_id = $1 AND completed_date = $2', [habitId, date]);
+  }
+}
+
+// Add `amount` to a habit's entries for `date` and update its completion.
+// The habit row is locked so concurrent logs cannot both miss the target.
+async function logAmount(habitId, userId, date, amount, backdated = false) {
+  const client = await pool.connect();
   try {
-    const result = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
-    done(null, result.rows[0]);
+    await client.query('BEGIN');
+    const habit = await client.query(
+      'SELECT id, target FROM habits WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [habitId, userId]
+    );
+    if (habit.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query(
+      'INSERT INTO habit_entries (habit_id, entry_date, amount) VALUES ($1, $2, $3)',
+      [habitId, date, amount]
+    );
+    await syncCompletion(client, habitId, date, backdated);
+    const total = await client.query(
+      'SELECT COALESCE(SUM(amount), 0) as total FROM habit_entries WHERE habit_id = $1 AND entry_date = $2',
+      [habitId, date]
+    );
+
+    await client.query('COMMIT');
+    return { target: habit.rows[0].target, total: total.rows[0].total };
   } catch (err) {
-    done(err, null);
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
   }
-});
+}
 
-// Middleware to check if user is authenticated
-function ensureAuthenticated(req, res, next) {
-  if (req.isAuthenticated()) {
-    return next();
+// How many days back check-ins can be added or removed from the calendar
+const graceDays = parseInt(process.env.BACKDATE_GRACE_DAYS, 10);
+const BACKDATE_GRACE_DAYS = Number.isInteger(graceDays) && graceDays >= 0 ? graceDays : 7;
+
+// The day a check-in or undo applies to: today, or `requested` if that is a
+// past day inside the grace window and not before the habit was created.
+// Returns { date, backdated } or { error }.
+function checkinDate(user, habit, requested) {
+  const today = getLocalDate(user);
+  if (requested === undefined || requested === '' || requested === today) {
+    return { date: today, backdated: false };
+  }
+  
+  if (typeof requested !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(requested) ||
+      schedule.fromDay(schedule.toDay(requested)) !== requested) {
+    return { error: 'Invalid date' };
   }
-  res.redirect('/login');
+  
+  const day = schedule.toDay(requested);
+  if (day > schedule.toDay(today)) {
+    return { error: 'Cannot check in on a future date' };
+  }
+  if (day < schedule.toDay(getLocalDate(user, habit.created_at))) {
+    return { error: 'Date is before the habit was created' };
+  }
+  if (day < schedule.toDay(today) - BACKDATE_GRACE_DAYS) {
+    return { error: `Only the last ${BACKDATE_GRACE_DAYS} days can be changed` };
+  }
+  
+  return { date: requested, backdated: true };
 }
 
-// Helper function to calculate streak
-const calculateStreak = async (habitId) => {
-  try {
-    const result = await pool.query(
-      `SELECT completed_date FROM completions 
-       WHERE habit_id = $1 
-       ORDER BY completed_date DESC`,
-      [habitId]
-    );
-    
-    if (result.rows.length === 0) return 0;
-    
-    let streak = 0;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    for (let i = 0; i < result.rows.length; i++) {
-      const completedDate = new Date(result.rows[i].completed_date);
-      completedDate.setHours(0, 0, 0, 0);
-      
-      const expectedDate = new Date(today);
-      expectedDate.setDate(today.getDate() - i);
-      
-      if (completedDate.getTime() === expectedDate.getTime()) {
-        streak++;
-      } else {
-        break;
-      }
+// A user's habits (or just `habitId`) with their streaks, completion rates
+// and today's progress, measured against each habit's schedule. The list
+// holds either the active or, with `archived`, the archived habits.
+async function loadHabits(user, habitId = null, archived = false) {
+  const today = getLocalDate(user);
+  
+  // Fetch all data in one optimized query
+  const result = await pool.query(`
+    WITH habit_completions AS (
+      SELECT 
+        h.id,
+        h.name,
+        h.created_at,
+        h.reminder_time,
+        h.schedule_type,
+        h.schedule_days,
+        h.schedule_times,
+        h.schedule_interval,
+        h.target,
+        h.unit,
+        h.tags,
+        h.archived_at,
+        h.position,
+        h.challenge_id,
+        ch.group_id,
+        g.name as group_name,
+        (SELECT COALESCE(SUM(amount), 0) FROM habit_entries e WHERE e.habit_id = h.id AND e.entry_date = $1) as today_amount,
+        (SELECT COALESCE(SUM(amount), 0) FROM habit_entries e WHERE e.habit_id = h.id) as total_amount,
+        c.completed_date::text as completed_date,
+        CASE WHEN c.completed_date = $1 THEN true ELSE false END as checked_today
+      FROM habits h
+      LEFT JOIN completions c ON h.id = c.habit_id
+      LEFT JOIN challenges ch ON ch.id = h.challenge_id
+      LEFT JOIN habit_groups g ON g.id = ch.group_id
+      WHERE h.user_id = $2
+      AND ($3::integer IS NULL OR h.id = $3)
+      AND ($3::integer IS NOT NULL OR (h.archived_at IS NOT NULL) = $4)
+      ORDER BY h.created_at DESC, c.completed_date DESC
+    )
+    SELECT * FROM habit_completions
+  `, [today, user.id, habitId, archived]);
+  
+  // Group by habit and calculate streaks
+  const habitsMap = new Map();
+  
+  for (const row of result.rows) {
+    if (!habitsMap.has(row.id)) {
+      habitsMap.set(row.id, {
+        id: row.id,
+        name: row.name,
+        created_at: row.created_at,
+        reminderTime: row.reminder_time,
+        schedule: schedule.fromRow(row),
+        target: row.target,
+        unit: row.unit,
+        tags: row.tags,
+        archivedAt: row.archived_at,
+        position: row.position,
+        challengeId: row.challenge_id,
+        groupId: row.group_id,
+        groupName: row.group_name,
+        todayAmount: row.today_amount,
+        totalAmount: row.total_amount,
+        checkedInToday: false,
+        streak: 0,
+        completions: [],
+        totalCompletions: 0
+      });
     }
     
-    return streak;
-  } catch (err) {
-    console.error('Error calculating streak:', err);
-    return 0;
+    const habit = habitsMap.get(row.id);
+    if (row.checked_today) habit.checkedInToday = true;
+    if (row.completed_date) {
+      habit.completions.push(row.completed_date);
+      habit.totalCompletions++;
+    }
+  }
+  
+  // Calculate streaks and completion rates against each habit's schedule
+  return Array.from(habitsMap.values()).map(habit => {
+    const startDate = getLocalDate(user, habit.created_at);
+    const progress = schedule.evaluate(habit.schedule, habit.completions, startDate, today);
+    
+    return {
+      ...habit,
+      startDate,
+      streak: progress.streak,
+      streakUnit: schedule.streakUnit(habit.schedule),
+      scheduleLabel: schedule.describeSchedule(habit.schedule),
+      completionRate: progress.rate,
+      dueToday: progress.dueToday,
+      periodDone: progress.done,
+      periodTarget: progress.target,
+      todayProgress: habit.target === null
+        ? (habit.checkedInToday ? 1 : 0)
+        : quantity.progress(habit.todayAmount, habit.target)
+    };
+  });
+}
+
+// Dashboard numbers; habits with an off day today are left out of today's numbers
+function summarizeHabits(habits, today) {
+  const totalAllTimeCompletions = habits.reduce((sum, h) => sum + h.totalCompletions, 0);
+  const dueToday = habits.filter(h => h.dueToday);
+  const completedToday = dueToday.filter(h => h.checkedInToday).length;
+  const completionRate = dueToday.length > 0 
+    ? Math.round((completedToday / dueToday.length) * 100)
+    : 0;
+  
+  return {
+    totalHabits: habits.length,
+    dueToday: dueToday.length,
+    completedToday: completedToday,
+    // Partial amounts count towards today's progress
+    progressToday: dueToday.length > 0
+      ? Math.round((dueToday.reduce((sum, h) => sum + h.todayProgress, 0) / dueToday.length) * 100)
+      : 0,
+    // Today and the six days before it
+    totalCompletionsThisWeek: habits.reduce((sum, h) => {
+      const weekAgo = schedule.toDay(today) - 7;
+      return sum + h.completions.filter(d => schedule.toDay(d) > weekAgo).length;
+    }, 0),
+    totalAllTime: totalAllTimeCompletions,
+    completionRate: completionRate
+  };
+}
+
+// Read a habit's name, reminder, schedule, target and tags from form fields.
+// Returns { habit } or { error }.
+function readHabitInput(input) {
+  const { habitName, reminderTime } = input;
+  
+  if (typeof habitName !== 'string' || habitName.trim().length === 0) {
+    return { error: 'Habit name is required' };
+  }
+  
+  if (habitName.length > 100) {
+    return { error: 'Habit name too long (max 100 characters)' };
+  }
+  
+  if (reminderTime && (typeof reminderTime !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(reminderTime))) {
+    return { error: 'Reminder time must look like HH:MM' };
   }
-};
+  
+  const { schedule: habitSchedule, error } = schedule.parseSchedule(input);
+  if (error) {
+    return { error };
+  }
+  
+  const { target, unit, error: targetError } = quantity.parseTarget(input);
+  if (targetError) {
+    return { error: targetError };
+  }
+  
+  const { tags, error: tagsError } = organize.parseTags(input.habitTags);
+  if (tagsError) {
+    return { error: tagsError };
+  }
+  
+  return {
+    habit: { name: habitName.trim(), reminderTime: reminderTime || null, schedule: habitSchedule, target, unit, tags }
+  };
+}
+
+// New habits go at the end of the user's own order
+async function insertHabit(userId, habit) {
+  const result = await pool.query(
+    `INSERT INTO habits (user_id, name, reminder_time, schedule_type, schedule_days, schedule_times, schedule_interval, target, unit, tags, challenge_id, position)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, (SELECT COALESCE(MAX(position), 0) + 1 FROM habits WHERE user_id = $1))
+     RETURNING id`,
+    [userId, habit.name, habit.reminderTime, habit.schedule.type, habit.schedule.days, habit.schedule.times, habit.schedule.interval, habit.target, habit.unit, habit.tags, habit.challengeId || null]
+  );
+  return result.rows[0].id;
+}
+
+// Returns false if the user has no such habit. A challenge's name, schedule
+// and target are the same for everyone in it, so they stay as they are.
+async function updateHabit(habitId, userId, habit) {
+  const challenge = await pool.query(
+    `SELECT ch.* FROM habits h JOIN challenges ch ON ch.id = h.challenge_id
+     WHERE h.id = $1 AND h.user_id = $2`,
+    [habitId, userId]
+  );
+  if (challenge.rows.length > 0) {
+    habit = { ...habit, ...groups.challengeDefinition(challenge.rows[0]) };
+  }
+  
+  const result = await pool.query(
+    `UPDATE habits
+     SET name = $1, reminder_time = $2, schedule_type = $3, schedule_days = $4, schedule_times = $5, schedule_interval = $6,
+         target = $7, unit = $8, tags = $9
+     WHERE id = $10 AND user_id = $11`,
+    [habit.name, habit.reminderTime, habit.schedule.type, habit.schedule.days, habit.schedule.times, habit.schedule.interval, habit.target, habit.unit, habit.tags, habitId, userId]
+  );
+  
+  if (result.rowCount === 0) {
+    return false;
+  }
+  
+  // A new target can complete or uncomplete days already logged
+  const loggedDays = await pool.query(
+    'SELECT DISTINCT entry_date::text as entry_date FROM habit_entries WHERE habit_id = $1',
+    [habitId]
+  );
+  for (const row of loggedDays.rows) {
+    await syncCompletion(pool, habitId, row.entry_date);
+  }
+  return true;
+}
+
+const checkIns = metrics.counter('habit_checkins_total', 'Habits checked in, on the web and through the API');
+
+// Mark `habit` done on `date`; quantitative habits log whatever is left of
+// the target
+async function checkInHabit(habit, userId, date, backdated) {
+  if (habit.target !== null) {
+    const logged = await pool.query(
+      'SELECT COALESCE(SUM(amount), 0) as total FROM habit_entries WHERE habit_id = $1 AND entry_date = $2',
+      [habit.id, date]
+    );
+    const remaining = habit.target - logged.rows[0].total;
+    if (remaining > 0) {
+      await logAmount(habit.id, userId, date, remaining, backdated);
+      checkIns.inc();
+    }
+    return;
+  }
+  
+  // Insert or ignore if already checked in that day
+  const result = await pool.query(
+    'INSERT INTO completions (habit_id, completed_date, backdated) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+    [habit.id, date, backdated]
+  );
+  if (result.rowCount > 0) checkIns.inc();
+}
+
+// Take back `habit`'s check-in on `date`; quantitative habits take back
+// the latest amount logged that day
+async function undoHabitCheckIn(habit, date) {
+  if (habit.target !== null) {
+    const removed = await pool.query(
+      `DELETE FROM habit_entries
+       WHERE id = (
+         SELECT id FROM habit_entries
+         WHERE habit_id = $1 AND entry_date = $2
+         ORDER BY id DESC
+         LIMIT 1
+       )`,
+      [habit.id, date]
+    );
+    if (removed.rowCount > 0) {
+      await syncCompletion(pool, habit.id, date);
+      return;
+    }
+  }
+  
+  await pool.query(
+    'DELETE FROM completions WHERE habit_id = $1 AND completed_date = $2',
+    [habit.id, date]
+  );
+}
+
+// Completed days (newest first), which of them were backdated, their notes,
+// and the amount logged per day including days that fell short of the target
+async function habitHistory(habitId) {
+  const completions = await pool.query(
+    `SELECT completed_date::text as completed_date, backdated, note
+     FROM completions
+     WHERE habit_id = $1
+     ORDER BY completed_date DESC`,
+    [habitId]
+  );
+  const entries = await pool.query(
+    `SELECT entry_date::text as entry_date, SUM(amount) as amount
+     FROM habit_entries
+     WHERE habit_id = $1
+     GROUP BY entry_date
+     ORDER BY entry_date DESC`,
+    [habitId]
+  );
+  
+  return {
+    completions: completions.rows.map(r => r.completed_date),
+    backdated: completions.rows.filter(r => r.backdated).map(r => r.completed_date),
+    notes: Object.fromEntries(completions.rows.filter(r => r.note).map(r => [r.completed_date, r.note])),
+    amounts: Object.fromEntries(entries.rows.map(r => [r.entry_date, r.amount]))
+  };
+}
+
+// Archive or unarchive a habit. Returns false if the user has no such habit.
+async function setArchived(habitId, userId, archived) {
+  const result = await pool.query(
+    `UPDATE habits
+     SET archived_at = CASE WHEN $1 THEN COALESCE(archived_at, NOW()) END
+     WHERE id = $2 AND user_id = $3`,
+    [archived, habitId, userId]
+  );
+  return result.rowCount > 0;
+}
 
-// Helper function to get local date in YYYY-MM-DD format
-function getLocalDate(date = new Date()) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+// Set or clear the note on `habitId`'s check-in on `date`. Returns false if
+// there is no check-in that day.
+async function setCheckInNote(habitId, date, note) {
+  const result = await pool.query(
+    'UPDATE completions SET note = $1 WHERE habit_id = $2 AND completed_date = $3',
+    [note, habitId, date]
+  );
+  return result.rowCount > 0;
+}
+
+// Put the given habits in this order. They keep the positions they already
+// hold between them, so ordering a filtered list leaves the others in place.
+// Returns false unless all of them are the user's.
+async function reorderHabits(userId, ids) {
+  const owned = await pool.query(
+    'SELECT COUNT(*)::integer as count FROM habits WHERE user_id = $1 AND id = ANY($2)',
+    [userId, ids]
+  );
+  if (owned.rows[0].count !== ids.length) {
+    return false;
+  }
+  
+  await pool.query(
+    `WITH wanted AS (
+       SELECT id, ord FROM unnest($1::integer[]) WITH ORDINALITY AS w(id, ord)
+     ),
+     slots AS (
+       SELECT position, ROW_NUMBER() OVER (ORDER BY position, id) as ord
+       FROM habits
+       WHERE user_id = $2 AND id = ANY($1)
+     )
+     UPDATE habits h
+     SET position = s.position
+     FROM wanted w
+     JOIN slots s ON s.ord = w.ord
+     WHERE h.id = w.id AND h.user_id = $2`,
+    [ids, userId]
+  );
+  return true;
 }
 
-// 5. AUTHENTICATION ROUTES
+// 4. AUTHENTICATION ROUTES
+// Sign-in for every enabled strategy, and logout, which ends the session
+// in every app. Also gives the login page its sign-in options.
+app.use(authRoutes(passport, { logoutRedirect: '/login' }));
+
 // Login page
 app.get('/login', (req, res) => {
   if (req.isAuthenticated()) {
@@ -224,98 +515,26 @@ app.get('/login', (req, res) => {
   res.render('login');
 });
 
-// Google OAuth routes
-app.get('/auth/google',
-  passport.authenticate('google', { scope: ['profile', 'email'] })
-);
-
-app.get('/auth/google/callback',
-  passport.authenticate('google', { failureRedirect: '/login' }),
-  (req, res) => {
-    res.redirect('/');
-  }
-);
-
-// Logout
-app.get('/logout', (req, res) => {
-  req.logout(() => {
-    res.redirect('/login');
-  });
-});
-
-// 6. ROUTES
+// 5. ROUTES
 // Home Page - View all habits (optimized with single query)
-app.get('/', ensureAuthenticated, async (req, res) => {
+app.get('/', requireAuth, async (req, res, next) => {
   try {
-    const today = getLocalDate();
+    const today = getLocalDate(req.user);
     const sortBy = req.query.sort || 'newest';
-    const userId = req.user.id;
-    
-    // Fetch all data in one optimized query
-    const result = await pool.query(`
-      WITH habit_completions AS (
-        SELECT 
-          h.id,
-          h.name,
-          h.created_at,
-          h.reminder_time,
-          c.completed_date,
-          CASE WHEN c.completed_date = $1 THEN true ELSE false END as checked_today
-        FROM habits h
-        LEFT JOIN completions c ON h.id = c.habit_id
-        WHERE h.user_id = $2
-        ORDER BY h.created_at DESC, c.completed_date DESC
-      )
-      SELECT * FROM habit_completions
-    `, [today, userId]);
-    
-    // Group by habit and calculate streaks
-    const habitsMap = new Map();
-    
-    for (const row of result.rows) {
-      if (!habitsMap.has(row.id)) {
-        habitsMap.set(row.id, {
-          id: row.id,
-          name: row.name,
-          created_at: row.created_at,
-          reminderTime: row.reminder_time,
-          checkedInToday: false,
-          streak: 0,
-          completions: [],
-          totalCompletions: 0
-        });
-      }
-      
-      const habit = habitsMap.get(row.id);
-      if (row.checked_today) habit.checkedInToday = true;
-      if (row.completed_date) {
-        habit.completions.push(row.completed_date);
-        habit.totalCompletions++;
-      }
+    const showArchived = req.query.archived === '1';
+    const tag = req.query.tag || null;
+    const allHabits = await loadHabits(req.user, null, showArchived);
+    
+    // Tags to filter by, spelled as they were first used
+    const tags = [];
+    for (const habitTag of allHabits.flatMap(h => h.tags)) {
+      if (!tags.some(t => t.toLowerCase() === habitTag.toLowerCase())) tags.push(habitTag);
     }
+    tags.sort((a, b) => a.localeCompare(b));
     
-    // Calculate streaks for each habit
-    let enrichedHabits = Array.from(habitsMap.values()).map(habit => {
-      let streak = 0;
-      const todayDate = new Date(today);
-      todayDate.setHours(0, 0, 0, 0);
-      
-      for (let i = 0; i < habit.completions.length; i++) {
-        const completedDate = new Date(habit.completions[i]);
-        completedDate.setHours(0, 0, 0, 0);
-        
-        const expectedDate = new Date(todayDate);
-        expectedDate.setDate(todayDate.getDate() - i);
-        
-        if (completedDate.getTime() === expectedDate.getTime()) {
-          streak++;
-        } else {
-          break;
-        }
-      }
-      
-      return { ...habit, streak };
-    });
+    const enrichedHabits = tag
+      ? allHabits.filter(h => h.tags.some(t => t.toLowerCase() === tag.toLowerCase()))
+      : allHabits;
     
     // Apply sorting
     switch (sortBy) {
@@ -328,70 +547,62 @@ app.get('/', ensureAuthenticated, async (req, res) => {
       case 'alphabetical':
         enrichedHabits.sort((a, b) => a.name.localeCompare(b.name));
         break;
+      case 'custom':
+        enrichedHabits.sort((a, b) => a.position - b.position);
+        break;
       default: // newest
         enrichedHabits.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
     }
     
-    // Calculate stats
-    const totalAllTimeCompletions = enrichedHabits.reduce((sum, h) => sum + h.totalCompletions, 0);
-    const completionRate = enrichedHabits.length > 0 
-      ? Math.round((enrichedHabits.filter(h => h.checkedInToday).length / enrichedHabits.length) * 100)
-      : 0;
-    
-    const stats = {
-      totalHabits: enrichedHabits.length,
-      completedToday: enrichedHabits.filter(h => h.checkedInToday).length,
-      totalCompletionsThisWeek: enrichedHabits.reduce((sum, h) => {
-        const weekAgo = new Date(today);
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        return sum + h.completions.filter(d => new Date(d) >= weekAgo).length;
-      }, 0),
-      totalAllTime: totalAllTimeCompletions,
-      completionRate: completionRate
-    };
+    const stats = summarizeHabits(enrichedHabits, today);
     
-    res.render('index', { habits: enrichedHabits, stats, sortBy, user: req.user });
+    res.render('index', {
+      habits: enrichedHabits,
+      stats,
+      sortBy,
+      tags,
+      tag,
+      showArchived,
+      user: req.user,
+      weekdayNames: schedule.WEEKDAY_NAMES,
+      formatAmount: quantity.formatAmount,
+      today,
+      graceDays: BACKDATE_GRACE_DAYS,
+      timeZone: timezone.resolve(req.user.timezone),
+      timeZones: timezone.listTimeZones(),
+      pushAvailable: reminders.pushConfigured(),
+      emailAvailable: reminders.emailConfigured(),
+      pendingInvites: (await groups.listInvites(pool, req.user.email)).length
+    });
   } catch (err) {
-    console.error('Error loading habits:', err);
-    res.status(500).send("Database Error: " + err.message);
+    next(err);
   }
 });
 
 // Add a Habit
-app.post('/add', ensureAuthenticated, async (req, res) => {
-  const { habitName, reminderTime } = req.body;
-  const userId = req.user.id;
-  
-  if (!habitName || habitName.trim().length === 0) {
-    return res.status(400).send('Habit name is required');
-  }
-  
-  if (habitName.length > 100) {
-    return res.status(400).send('Habit name too long (max 100 characters)');
+app.post('/add', requireAuth, async (req, res, next) => {
+  const { habit, error } = readHabitInput(req.body);
+  if (error) {
+    return res.status(400).send(error);
   }
   
   try {
-    await pool.query(
-      'INSERT INTO habits (user_id, name, reminder_time) VALUES ($1, $2, $3)',
-      [userId, habitName.trim(), reminderTime || null]
-    );
+    await insertHabit(req.user.id, habit);
     res.redirect('/');
   } catch (err) {
-    console.error('Error adding habit:', err);
-    res.status(500).send("Insert Error: " + err.message);
+    next(err);
   }
 });
 
-// Check-in for today
-app.post('/checkin/:id', ensureAuthenticated, async (req, res) => {
+// Check-in for today, or for a past `date` inside the grace window
+app.post('/checkin/:id', requireAuth, async (req, res, next) => {
   const { id } = req.params;
-  const today = getLocalDate();
   const userId = req.user.id;
   
   try {
     // Verify habit belongs to user
     const habitCheck = await pool.query(
-      'SELECT id FROM habits WHERE id = $1 AND user_id = $2',
+      'SELECT id, target, created_at, archived_at FROM habits WHERE id = $1 AND user_id = $2',
       [id, userId]
     );
     
@@ -399,212 +610,1044 @@ app.post('/checkin/:id', ensureAuthenticated, async (req, res) => {
       return res.status(403).send('Unauthorized');
     }
     
-    // Insert or ignore if already checked in today
-    await pool.query(
-      'INSERT INTO completions (habit_id, completed_date) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-      [id, today]
-    );
+    // Archived habits are put away, not tracked
+    if (habitCheck.rows[0].archived_at !== null) {
+      return res.status(409).send('Unarchive this habit to check in');
+    }
+    
+    const { date, backdated, error } = checkinDate(req.user, habitCheck.rows[0], req.body.date);
+    if (error) {
+      return res.status(400).send(error);
+    }
+    
+    await checkInHabit(habitCheck.rows[0], userId, date, backdated);
     res.redirect('/');
   } catch (err) {
-    res.status(500).send("Check-in Error: " + err.message);
+    next(err);
   }
 });
 
-// Delete a Habit
-app.post('/delete/:id', ensureAuthenticated, async (req, res) => {
+// Log an amount towards today's target of a quantitative habit
+app.post('/log/:id', requireAuth, async (req, res) => {
   const { id } = req.params;
+  const today = getLocalDate(req.user);
   const userId = req.user.id;
+  const amount = quantity.parseAmount(req.body.amount);
+  
+  if (amount === null) {
+    return res.status(400).json({ error: `Amount must be a number between 0 and ${quantity.MAX_AMOUNT}` });
+  }
   
   try {
-    const result = await pool.query(
-      'DELETE FROM habits WHERE id = $1 AND user_id = $2',
+    const habitCheck = await pool.query(
+      'SELECT id, target, archived_at FROM habits WHERE id = $1 AND user_id = $2',
       [id, userId]
     );
     
-    if (result.rowCount === 0) {
-      return res.status(403).send('Unauthorized');
+    if (habitCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Unauthorized' });
     }
     
-    res.redirect('/');
+    if (habitCheck.rows[0].archived_at !== null) {
+      return res.status(409).json({ error: 'Unarchive this habit to check in' });
+    }
+    
+    if (habitCheck.rows[0].target === null) {
+      return res.status(400).json({ error: 'This habit has no target to log amounts against' });
+    }
+    
+    const { target, total } = await logAmount(id, userId, today, amount);
+    res.json({ date: today, total, target, completed: quantity.isComplete(total, target) });
   } catch (err) {
-    console.error('Error deleting habit:', err);
-    res.status(500).send("Delete Error: " + err.message);
+    console.error('Error logging amount:', err);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Undo today's check-in
-app.post('/undo/:id', ensureAuthenticated, async (req, res) => {
+// Delete a Habit
+app.post('/delete/:id', requireAuth, async (req, res, next) => {
   const { id } = req.params;
-  const today = getLocalDate();
   const userId = req.user.id;
   
   try {
-    // Verify habit belongs to user
-    const habitCheck = await pool.query(
-      'SELECT id FROM habits WHERE id = $1 AND user_id = $2',
+    const result = await pool.query(
+      'DELETE FROM habits WHERE id = $1 AND user_id = $2',
       [id, userId]
     );
     
-    if (habitCheck.rows.length === 0) {
+    if (result.rowCount === 0) {
       return res.status(403).send('Unauthorized');
     }
     
-    await pool.query(
-      'DELETE FROM completions WHERE habit_id = $1 AND completed_date = $2',
-      [id, today]
-    );
     res.redirect('/');
   } catch (err) {
-    console.error('Error undoing check-in:', err);
-    res.status(500).send("Undo Error: " + err.message);
+    next(err);
   }
 });
 
-// Edit habit name
-app.post('/edit/:id', ensureAuthenticated, async (req, res) => {
-  const { id } = req.params;
-  const { habitName, reminderTime } = req.body;
-  const userId = req.user.id;
-  
-  if (!habitName || habitName.trim().length === 0) {
-    return res.status(400).send('Habit name is required');
-  }
-  
-  if (habitName.length > 100) {
-    return res.status(400).send('Habit name too long (max 100 characters)');
-  }
-  
+// Archive a habit: it leaves the list, reminders and calendar but keeps its
+// history, and still counts in analytics
+app.post('/archive/:id', requireAuth, async (req, res, next) => {
   try {
-    const result = await pool.query(
-      'UPDATE habits SET name = $1, reminder_time = $2 WHERE id = $3 AND user_id = $4',
-      [habitName.trim(), reminderTime || null, id, userId]
-    );
-    
-    if (result.rowCount === 0) {
+    if (!await setArchived(req.params.id, req.user.id, true)) {
       return res.status(403).send('Unauthorized');
     }
     
     res.redirect('/');
   } catch (err) {
-    console.error('Error editing habit:', err);
-    res.status(500).send("Edit Error: " + err.message);
+    next(err);
   }
 });
 
-// Get completion history for a habit (API endpoint)
-app.get('/api/history/:id', ensureAuthenticated, async (req, res) => {
-  const { id } = req.params;
-  const userId = req.user.id;
-  
+app.post('/unarchive/:id', requireAuth, async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT h.name, c.completed_date 
-       FROM habits h 
-       LEFT JOIN completions c ON h.id = c.habit_id 
-       WHERE h.id = $1 AND h.user_id = $2
-       ORDER BY c.completed_date DESC`,
-      [id, userId]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Habit not found' });
+    if (!await setArchived(req.params.id, req.user.id, false)) {
+      return res.status(403).send('Unauthorized');
     }
     
-    res.json({
-      name: result.rows[0].name,
-      completions: result.rows
-        .filter(r => r.completed_date)
-        .map(r => r.completed_date)
-    });
+    res.redirect('/?archived=1');
   } catch (err) {
-    console.error('Error fetching history:', err);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// Get calendar data for a specific month
-app.get('/api/calendar', ensureAuthenticated, async (req, res) => {
-  const { year, month } = req.query;
-  const userId = req.user.id;
+// Save the order habits were dragged into; body is { ids: [...] }
+app.post('/api/habits/order', requireAuth, async (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number) : [];
   
-  if (!year || !month) {
-    return res.status(400).json({ error: 'Year and month are required' });
+  if (ids.length === 0 || ids.some(id => !Number.isInteger(id)) || new Set(ids).size !== ids.length) {
+    return res.status(400).json({ error: 'ids must be a list of habit ids' });
   }
   
-  const yearNum = parseInt(year);
-  const monthNum = parseInt(month);
+  try {
+    if (!await reorderHabits(req.user.id, ids)) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error reordering habits:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Set or clear the note on a day's check-in; body is { date, note }
+app.post('/note/:id', requireAuth, async (req, res) => {
+  const { date } = req.body;
+  const { note, error } = organize.parseNote(req.body.note);
   
-  if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 1 || monthNum > 12) {
-    return res.status(400).json({ error: 'Invalid year or month' });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'Date must look like YYYY-MM-DD' });
   }
   
   try {
-    // Get all completions for the month with habit names
-    const startDate = `${yearNum}-${String(monthNum).padStart(2, '0')}-01`;
-    const endDate = `${yearNum}-${String(monthNum).padStart(2, '0')}-${new Date(yearNum, monthNum, 0).getDate()}`;
-    
-    const result = await pool.query(
-      `SELECT c.completed_date::text as completed_date, h.name 
-       FROM completions c 
-       JOIN habits h ON c.habit_id = h.id 
-       WHERE c.completed_date >= $1 AND c.completed_date <= $2 AND h.user_id = $3
-       ORDER BY c.completed_date, h.name`,
-      [startDate, endDate, userId]
+    const habitCheck = await pool.query(
+      'SELECT id FROM habits WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
     );
     
-    // Group by date
-    const calendarData = {};
-    result.rows.forEach(row => {
-      const dateStr = row.completed_date;
-      if (!calendarData[dateStr]) {
-        calendarData[dateStr] = [];
-      }
-      calendarData[dateStr].push(row.name);
-    });
+    if (habitCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
     
-    res.json(calendarData);
+    if (!await setCheckInNote(habitCheck.rows[0].id, date, note)) {
+      return res.status(404).json({ error: 'No check-in on that day' });
+    }
+    res.json({ date, note });
   } catch (err) {
-    console.error('Error fetching calendar data:', err);
+    console.error('Error saving note:', err);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Export to CSV
-app.get('/export', ensureAuthenticated, async (req, res) => {
+// Undo a check-in, or the last amount logged, for today or a past `date`
+// inside the grace window
+app.post('/undo/:id', requireAuth, async (req, res, next) => {
+  const { id } = req.params;
   const userId = req.user.id;
   
   try {
-    const result = await pool.query(`
-      SELECT h.name, h.created_at, c.completed_date
-      FROM habits h
-      LEFT JOIN completions c ON h.id = c.habit_id
-      WHERE h.user_id = $1
-      ORDER BY h.name, c.completed_date DESC
-    `, [userId]);
+    // Verify habit belongs to user
+    const habitCheck = await pool.query(
+      'SELECT id, target, created_at FROM habits WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
     
-    // Build CSV
-    let csv = 'Habit Name,Created At,Completed Date\n';
-    result.rows.forEach(row => {
-      csv += `"${row.name}","${row.created_at}","${row.completed_date || ''}"\n`;
-    });
+    if (habitCheck.rows.length === 0) {
+      return res.status(403).send('Unauthorized');
+    }
+    
+    const { date, error } = checkinDate(req.user, habitCheck.rows[0], req.body.date);
+    if (error) {
+      return res.status(400).send(error);
+    }
     
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', 'attachment; filename=habits-export.csv');
-    res.send(csv);
+    await undoHabitCheckIn(habitCheck.rows[0], date);
+    res.redirect('/');
   } catch (err) {
-    console.error('Error exporting data:', err);
-    res.status(500).send("Export Error: " + err.message);
+    next(err);
   }
 });
 
-// Health check endpoint for Kubernetes
-app.get('/health', async (req, res) => {
+// Edit habit name
+app.post('/edit/:id', requireAuth, async (req, res, next) => {
+  const { id } = req.params;
+  
+  const { habit, error } = readHabitInput(req.body);
+  if (error) {
+    return res.status(400).send(error);
+  }
+  
   try {
-    await pool.query('SELECT 1');
-    res.status(200).json({ status: 'healthy', database: 'connected' });
+    if (!await updateHabit(id, req.user.id, habit)) {
+      return res.status(403).send('Unauthorized');
+    }
+    
+    res.redirect('/');
   } catch (err) {
-    console.error('Health check failed:', err);
-    res.status(503).json({ status: 'unhealthy', database: 'disconnected' });
+    next(err);
+  }
+});
+
+// Change the timezone days and reminders are counted in
+app.post('/settings', requireAuth, async (req, res, next) => {
+  const { timezone: timeZone, emailDigest, digestTime } = req.body;
+  
+  if (!timezone.isValidTimeZone(timeZone)) {
+    return res.status(400).send('Unknown timezone');
+  }
+  
+  if (digestTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(digestTime)) {
+    return res.status(400).send('Invalid digest time');
+  }
+  
+  try {
+    await pool.query(
+      'UPDATE users SET timezone = $1, email_digest = $2, digest_time = COALESCE($3, digest_time) WHERE id = $4',
+      [timeZone, Boolean(emailDigest), digestTime || null, req.user.id]
+    );
+    res.redirect('/');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Timezone detected by the browser; only fills it in if the user has none yet
+app.post('/api/timezone', requireAuth, async (req, res) => {
+  const { timezone: timeZone } = req.body;
+  
+  if (!timezone.isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'Unknown timezone' });
+  }
+  
+  try {
+    const result = await pool.query(
+      'UPDATE users SET timezone = $1 WHERE id = $2 AND timezone IS NULL',
+      [timeZone, req.user.id]
+    );
+    res.json({ updated: result.rowCount > 0 });
+  } catch (err) {
+    console.error('Error saving timezone:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Service worker that shows push notifications; must be served from the root
+app.get('/sw.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'sw.js'));
+});
+
+// VAPID public key browsers subscribe with
+app.get('/api/push/key', requireAuth, (req, res) => {
+  const publicKey = reminders.pushPublicKey();
+  if (!publicKey) {
+    return res.status(404).json({ error: 'Push notifications are not configured' });
+  }
+  res.json({ publicKey });
+});
+
+// Save this browser's push subscription
+app.post('/api/push/subscribe', requireAuth, async (req, res) => {
+  const { endpoint, keys } = req.body;
+  
+  if (typeof endpoint !== 'string' || !endpoint.startsWith('https://') || !keys || !keys.p256dh || !keys.auth) {
+    return res.status(400).json({ error: 'Invalid subscription' });
+  }
+  
+  try {
+    // An endpoint belongs to one browser, so a new login there takes it over
+    const result = await pool.query(
+      `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (endpoint) DO UPDATE
+       SET user_id = EXCLUDED.user_id, p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth, user_agent = EXCLUDED.user_agent
+       RETURNING id`,
+      [req.user.id, endpoint, String(keys.p256dh), String(keys.auth), (req.get('user-agent') || '').slice(0, 200)]
+    );
+    res.json({ id: result.rows[0].id });
+  } catch (err) {
+    console.error('Error saving push subscription:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Remove this browser's push subscription
+app.post('/api/push/unsubscribe', requireAuth, async (req, res) => {
+  const { endpoint } = req.body;
+  
+  try {
+    await pool.query(
+      'DELETE FROM push_subscriptions WHERE endpoint = $1 AND user_id = $2',
+      [endpoint, req.user.id]
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing push subscription:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Devices subscribed to push notifications
+app.get('/api/push/subscriptions', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, user_agent, created_at FROM push_subscriptions WHERE user_id = $1 ORDER BY created_at DESC',
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching push subscriptions:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/api/push/subscriptions/:id', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM push_subscriptions WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing push subscription:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get completion history for a habit (API endpoint)
+app.get('/api/history/:id', requireAuth, async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  
+  try {
+    const result = await pool.query(
+      'SELECT name, target, unit FROM habits WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+    
+    res.json({
+      name: result.rows[0].name,
+      target: result.rows[0].target,
+      unit: result.rows[0].unit,
+      ...await habitHistory(id)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get calendar data for a specific month, for active habits with ?tag if given
+app.get('/api/calendar', requireAuth, async (req, res) => {
+  const { year, month } = req.query;
+  const userId = req.user.id;
+  
+  if (!year || !month) {
+    return res.status(400).json({ error: 'Year and month are required' });
+  }
+  
+  const yearNum = parseInt(year);
+  const monthNum = parseInt(month);
+  
+  if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 1 || monthNum > 12) {
+    return res.status(400).json({ error: 'Invalid year or month' });
+  }
+  
+  try {
+    // Get every day of the month with a completion or a logged amount
+    const startDate = `${yearNum}-${String(monthNum).padStart(2, '0')}-01`;
+    const endDate = `${yearNum}-${String(monthNum).padStart(2, '0')}-${new Date(yearNum, monthNum, 0).getDate()}`;
+    
+    const result = await pool.query(
+      `SELECT d.day::text as completed_date, h.id, h.name, h.target, h.unit,
+              (SELECT SUM(amount) FROM habit_entries e WHERE e.habit_id = h.id AND e.entry_date = d.day) as amount,
+              c.id IS NOT NULL as completed,
+              COALESCE(c.backdated, false) as backdated
+       FROM (
+         SELECT habit_id, completed_date as day FROM completions WHERE completed_date >= $1 AND completed_date <= $2
+         UNION
+         SELECT habit_id, entry_date FROM habit_entries WHERE entry_date >= $1 AND entry_date <= $2
+       ) d
+       JOIN habits h ON d.habit_id = h.id 
+       LEFT JOIN completions c ON c.habit_id = h.id AND c.completed_date = d.day
+       WHERE h.user_id = $3
+       AND h.archived_at IS NULL
+       AND ($4::text IS NULL OR EXISTS (SELECT 1 FROM unnest(h.tags) t WHERE lower(t) = lower($4)))
+       ORDER BY d.day, h.name`,
+      [startDate, endDate, userId, req.query.tag || null]
+    );
+    
+    // Group by date
+    const calendarData = {};
+    result.rows.forEach(row => {
+      const dateStr = row.completed_date;
+      if (!calendarData[dateStr]) {
+        calendarData[dateStr] = [];
+      }
+      calendarData[dateStr].push({
+        id: row.id,
+        name: row.name,
+        completed: row.completed,
+        backdated: row.backdated,
+        amount: row.amount,
+        target: row.target,
+        unit: row.unit
+      });
+    });
+    
+    res.json(calendarData);
+  } catch (err) {
+    console.error('Error fetching calendar data:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Analytics for all of `user`'s habits, or the one `habitParam` names.
+// Returns { stats } or { status, error }.
+async function loadAnalytics(user, habitParam) {
+  let habitId = null;
+  if (habitParam !== undefined && habitParam !== '' && habitParam !== 'all') {
+    habitId = Number(habitParam);
+    if (!Number.isInteger(habitId) || habitId < 1) {
+      return { status: 400, error: 'Invalid habit' };
+    }
+  }
+
+  const stats = await analytics.load(pool, {
+    userId: user.id,
+    habitId,
+    timeZone: timezone.resolve(user.timezone),
+    today: getLocalDate(user)
+  });
+  return stats ? { stats } : { status: 404, error: 'Habit not found' };
+}
+
+// Analytics page: heatmap, streaks, trends and weekdays for all habits or ?habit=<id>
+app.get('/analytics', requireAuth, async (req, res, next) => {
+  try {
+    const { stats, status, error } = await loadAnalytics(req.user, req.query.habit);
+    if (error) {
+      return res.status(status).send(error);
+    }
+
+    // Archived habits keep their analytics
+    const habits = await pool.query(
+      'SELECT id, name, archived_at IS NOT NULL as archived FROM habits WHERE user_id = $1 ORDER BY archived_at IS NOT NULL, name',
+      [req.user.id]
+    );
+    res.render('analytics', {
+      stats,
+      habits: habits.rows,
+      user: req.user
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The same numbers as JSON
+app.get('/api/analytics', requireAuth, async (req, res, next) => {
+  try {
+    const { stats, status, error } = await loadAnalytics(req.user, req.query.habit);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(stats);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Groups the user belongs to, and invitations waiting for them
+app.get('/groups', requireAuth, async (req, res, next) => {
+  try {
+    res.render('groups', {
+      groups: await groups.listGroups(pool, req.user.id),
+      invites: await groups.listInvites(pool, req.user.email),
+      user: req.user
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Start a group; whoever starts it owns it
+app.post('/groups', requireAuth, async (req, res, next) => {
+  const { group, error } = groups.parseGroupInput(req.body);
+  if (error) {
+    return res.status(400).send(error);
+  }
+  
+  try {
+    const result = await pool.query(
+      `WITH g AS (
+         INSERT INTO habit_groups (name, description, owner_id) VALUES ($1, $2, $3) RETURNING id
+       )
+       INSERT INTO group_members (group_id, user_id, role) SELECT id, $3, 'owner' FROM g
+       RETURNING group_id`,
+      [group.name, group.description, req.user.id]
+    );
+    res.redirect(`/groups/${result.rows[0].group_id}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A group's challenges, leaderboards, activity and members; only for members
+app.get('/groups/:id(\\d+)', requireAuth, async (req, res, next) => {
+  try {
+    const today = getLocalDate(req.user);
+    const data = await groups.loadGroup(pool, { groupId: req.params.id, viewerId: req.user.id, today });
+    if (!data) {
+      return res.status(404).send('Group not found');
+    }
+    
+    res.render('group', {
+      ...data,
+      user: req.user,
+      today,
+      timeZone: timezone.resolve(req.user.timezone),
+      weekdayNames: schedule.WEEKDAY_NAMES,
+      formatAmount: quantity.formatAmount
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The same as JSON
+app.get('/api/groups/:id(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const data = await groups.loadGroup(pool, { groupId: req.params.id, viewerId: req.user.id, today: getLocalDate(req.user) });
+    if (!data) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    res.json(data);
+  } catch (err) {
+    console.error('Error loading group:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Invite someone by the email they sign in with; any member can
+app.post('/groups/:id(\\d+)/invite', requireAuth, async (req, res, next) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+  if (email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).send('Enter a valid email address');
+  }
+  
+  try {
+    if (!await groups.membership(pool, req.params.id, req.user.id)) {
+      return res.status(403).send('Unauthorized');
+    }
+    
+    const member = await pool.query(
+      `SELECT 1 FROM group_members m JOIN users u ON u.id = m.user_id
+       WHERE m.group_id = $1 AND lower(u.email) = lower($2)`,
+      [req.params.id, email]
+    );
+    if (member.rows.length > 0) {
+      return res.status(400).send('They are already in this group');
+    }
+    
+    await pool.query(
+      'INSERT INTO group_invites (group_id, email, invited_by) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+      [req.params.id, email, req.user.id]
+    );
+    res.redirect(`/groups/${req.params.id}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Withdraw an invitation that has not been answered
+app.post('/groups/:id(\\d+)/invites/:inviteId(\\d+)/cancel', requireAuth, async (req, res, next) => {
+  try {
+    const me = await groups.membership(pool, req.params.id, req.user.id);
+    if (!me) {
+      return res.status(403).send('Unauthorized');
+    }
+    
+    // The owner may withdraw any invitation, other members their own
+    await pool.query(
+      'DELETE FROM group_invites WHERE id = $1 AND group_id = $2 AND ($3 OR invited_by = $4)',
+      [req.params.inviteId, req.params.id, me.role === 'owner', req.user.id]
+    );
+    res.redirect(`/groups/${req.params.id}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Answer an invitation sent to the user's email
+app.post('/invites/:id(\\d+)/accept', requireAuth, async (req, res, next) => {
+  try {
+    const invite = await pool.query(
+      'DELETE FROM group_invites WHERE id = $1 AND lower(email) = lower($2) RETURNING group_id',
+      [req.params.id, req.user.email]
+    );
+    if (invite.rows.length === 0) {
+      return res.status(404).send('Invitation not found');
+    }
+    
+    const groupId = invite.rows[0].group_id;
+    await pool.query(
+      'INSERT INTO group_members (group_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [groupId, req.user.id]
+    );
+    res.redirect(`/groups/${groupId}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/invites/:id(\\d+)/decline', requireAuth, async (req, res, next) => {
+  try {
+    await pool.query(
+      'DELETE FROM group_invites WHERE id = $1 AND lower(email) = lower($2)',
+      [req.params.id, req.user.email]
+    );
+    res.redirect('/groups');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Take `userId` out of a group. Their challenge habits stay theirs, as
+// ordinary habits.
+async function removeMember(groupId, userId) {
+  await pool.query(
+    `UPDATE habits SET challenge_id = NULL
+     WHERE user_id = $1 AND challenge_id IN (SELECT id FROM challenges WHERE group_id = $2)`,
+    [userId, groupId]
+  );
+  await pool.query('DELETE FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
+}
+
+// Leave a group; its owner can only delete it
+app.post('/groups/:id(\\d+)/leave', requireAuth, async (req, res, next) => {
+  try {
+    const me = await groups.membership(pool, req.params.id, req.user.id);
+    if (!me) {
+      return res.status(403).send('Unauthorized');
+    }
+    if (me.role === 'owner') {
+      return res.status(400).send('The owner cannot leave a group, only delete it');
+    }
+    
+    await removeMember(req.params.id, req.user.id);
+    res.redirect('/groups');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The owner removes someone from the group
+app.post('/groups/:id(\\d+)/members/:userId(\\d+)/remove', requireAuth, async (req, res, next) => {
+  try {
+    const me = await groups.membership(pool, req.params.id, req.user.id);
+    if (!me || me.role !== 'owner') {
+      return res.status(403).send('Unauthorized');
+    }
+    if (Number(req.params.userId) === req.user.id) {
+      return res.status(400).send('The owner cannot leave a group, only delete it');
+    }
+    
+    await removeMember(req.params.id, req.params.userId);
+    res.redirect(`/groups/${req.params.id}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a group and its challenges; members keep their habits
+app.post('/groups/:id(\\d+)/delete', requireAuth, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM habit_groups WHERE id = $1 AND owner_id = $2',
+      [req.params.id, req.user.id]
+    );
+    
+    if (result.rowCount === 0) {
+      return res.status(403).send('Unauthorized');
+    }
+    
+    res.redirect('/groups');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// What the user lets the rest of the group see: their leaderboard stats and
+// their check-ins in the activity feed
+app.post('/groups/:id(\\d+)/privacy', requireAuth, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'UPDATE group_members SET share_stats = $1, share_activity = $2 WHERE group_id = $3 AND user_id = $4',
+      [Boolean(req.body.shareStats), Boolean(req.body.shareActivity), req.params.id, req.user.id]
+    );
+    
+    if (result.rowCount === 0) {
+      return res.status(403).send('Unauthorized');
+    }
+    
+    res.redirect(`/groups/${req.params.id}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Start a challenge in a group: a habit definition every member can join,
+// from `startDate` for an optional number of days
+app.post('/groups/:id(\\d+)/challenges', requireAuth, async (req, res, next) => {
+  const { habit, error } = readHabitInput(req.body);
+  if (error) {
+    return res.status(400).send(error);
+  }
+  
+  const { startDate, endDate, error: datesError } = groups.parseChallengeDates(req.body, getLocalDate(req.user));
+  if (datesError) {
+    return res.status(400).send(datesError);
+  }
+  
+  const description = typeof req.body.challengeDescription === 'string' ? req.body.challengeDescription.trim() : '';
+  if (description.length > 300) {
+    return res.status(400).send('Description too long (max 300 characters)');
+  }
+  
+  try {
+    if (!await groups.membership(pool, req.params.id, req.user.id)) {
+      return res.status(403).send('Unauthorized');
+    }
+    
+    await pool.query(
+      `INSERT INTO challenges (group_id, name, description, schedule_type, schedule_days, schedule_times, schedule_interval,
+                               target, unit, start_date, end_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [req.params.id, habit.name, description || null, habit.schedule.type, habit.schedule.days, habit.schedule.times,
+       habit.schedule.interval, habit.target, habit.unit, startDate, endDate, req.user.id]
+    );
+    res.redirect(`/groups/${req.params.id}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Join a challenge: the user gets a habit of their own with its name,
+// schedule and target, and their own reminder time if they give one
+app.post('/challenges/:id(\\d+)/join', requireAuth, async (req, res, next) => {
+  const { reminderTime } = req.body;
+  if (reminderTime && (typeof reminderTime !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(reminderTime))) {
+    return res.status(400).send('Reminder time must look like HH:MM');
+  }
+  
+  try {
+    const challenge = await groups.loadChallenge(pool, req.params.id, req.user.id);
+    if (!challenge) {
+      return res.status(403).send('Unauthorized');
+    }
+    if (challenge.end_date !== null && challenge.end_date < getLocalDate(req.user)) {
+      return res.status(400).send('This challenge has ended');
+    }
+    
+    const joined = await pool.query(
+      'SELECT 1 FROM habits WHERE challenge_id = $1 AND user_id = $2',
+      [challenge.id, req.user.id]
+    );
+    if (joined.rows.length === 0) {
+      await insertHabit(req.user.id, {
+        ...groups.challengeDefinition(challenge),
+        reminderTime: reminderTime || null,
+        tags: [],
+        challengeId: challenge.id
+      });
+    }
+    res.redirect(`/groups/${challenge.group_id}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Leave a challenge; the habit and its check-ins stay the user's
+app.post('/challenges/:id(\\d+)/leave', requireAuth, async (req, res, next) => {
+  try {
+    const challenge = await groups.loadChallenge(pool, req.params.id, req.user.id);
+    if (!challenge) {
+      return res.status(403).send('Unauthorized');
+    }
+    
+    await pool.query(
+      'UPDATE habits SET challenge_id = NULL WHERE challenge_id = $1 AND user_id = $2',
+      [challenge.id, req.user.id]
+    );
+    res.redirect(`/groups/${challenge.group_id}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a challenge; only whoever started it or the group's owner can.
+// Everyone who joined keeps their habit.
+app.post('/challenges/:id(\\d+)/delete', requireAuth, async (req, res, next) => {
+  try {
+    const challenge = await groups.loadChallenge(pool, req.params.id, req.user.id);
+    if (!challenge || (challenge.role !== 'owner' && challenge.created_by !== req.user.id)) {
+      return res.status(403).send('Unauthorized');
+    }
+    
+    await pool.query('DELETE FROM challenges WHERE id = $1', [challenge.id]);
+    res.redirect(`/groups/${challenge.group_id}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Everything about a user's habits, for backups
+async function loadBackupHabits(userId) {
+  const habits = await pool.query(
+    `SELECT id, name, created_at, reminder_time::text as reminder_time,
+            schedule_type, schedule_days, schedule_times, schedule_interval, target, unit, tags, archived_at
+     FROM habits
+     WHERE user_id = $1
+     ORDER BY position, id`,
+    [userId]
+  );
+  const completions = await pool.query(
+    `SELECT c.habit_id, c.completed_date::text as date, c.backdated, c.note
+     FROM completions c
+     JOIN habits h ON h.id = c.habit_id
+     WHERE h.user_id = $1
+     ORDER BY c.completed_date`,
+    [userId]
+  );
+  const entries = await pool.query(
+    `SELECT e.habit_id, e.entry_date::text as date, e.amount, e.created_at
+     FROM habit_entries e
+     JOIN habits h ON h.id = e.habit_id
+     WHERE h.user_id = $1
+     ORDER BY e.entry_date, e.id`,
+    [userId]
+  );
+  
+  return habits.rows.map(h => ({
+    id: h.id,
+    name: h.name,
+    createdAt: h.created_at,
+    reminderTime: h.reminder_time ? h.reminder_time.slice(0, 5) : null,
+    schedule: schedule.fromRow(h),
+    target: h.target,
+    unit: h.unit,
+    tags: h.tags,
+    archivedAt: h.archived_at,
+    completions: completions.rows
+      .filter(c => c.habit_id === h.id)
+      .map(c => ({ date: c.date, backdated: c.backdated, note: c.note })),
+    entries: entries.rows
+      .filter(e => e.habit_id === h.id)
+      .map(e => ({ date: e.date, amount: e.amount, createdAt: e.created_at }))
+  }));
+}
+
+// Export a full backup as CSV (default) or JSON
+app.get('/export', requireAuth, async (req, res, next) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  
+  try {
+    const habits = await loadBackupHabits(req.user.id);
+    const filename = `habits-backup-${getLocalDate(req.user)}.${format}`;
+    
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.send(JSON.stringify(backup.toJson(habits, { timezone: timezone.resolve(req.user.timezone) }), null, 2));
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.send(backup.toBackupCsv(habits));
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+const IMPORT_CONFLICTS = ['skip', 'merge', 'replace'];
+
+// Write parsed habits (see lib/backup.js) for `user`. A habit whose name the
+// user already has is skipped, merged into (settings kept, missing days
+// added) or replaced, per `conflict`. Returns the summary and row errors.
+async function importHabits(db, user, parsed, conflict) {
+  const today = getLocalDate(user);
+  const errors = [...parsed.errors];
+  const summary = { created: 0, merged: 0, replaced: 0, skipped: 0, completionsAdded: 0, entriesAdded: 0, habits: [] };
+  
+  const existing = await db.query('SELECT id, name FROM habits WHERE user_id = $1 FOR UPDATE', [user.id]);
+  const byName = new Map(existing.rows.map(h => [h.name.toLowerCase(), h.id]));
+  
+  for (const habit of parsed.habits) {
+    const notFuture = (day) => {
+      if (day.date <= today) return true;
+      errors.push({ row: day.row, error: `${habit.name}: ${day.date} is in the future` });
+      return false;
+    };
+    const completions = habit.completions.filter(notFuture);
+    const entries = habit.entries.filter(notFuture);
+    
+    // A habit starts no later than its first imported day
+    const days = [...completions, ...entries].map(d => d.date).sort();
+    let createdAt = habit.createdAt || new Date();
+    if (days.length > 0 && days[0] < getLocalDate(user, createdAt)) {
+      createdAt = new Date(`${days[0]}T12:00:00Z`);
+    }
+    
+    let habitId = byName.get(habit.name.toLowerCase());
+    let action;
+    if (habitId && conflict === 'skip') {
+      summary.skipped++;
+      summary.habits.push({ name: habit.name, action: 'skipped', completions: 0, entries: 0 });
+      continue;
+    } else if (habitId && conflict === 'replace') {
+      // A challenge habit keeps the definition its group set, as when edited
+      const challenge = await db.query(
+        'SELECT ch.* FROM habits h JOIN challenges ch ON ch.id = h.challenge_id WHERE h.id = $1',
+        [habitId]
+      );
+      const definition = challenge.rows.length > 0 ? groups.challengeDefinition(challenge.rows[0]) : habit;
+      await db.query(
+        `UPDATE habits
+         SET reminder_time = $1, schedule_type = $2, schedule_days = $3, schedule_times = $4, schedule_interval = $5,
+             target = $6, unit = $7, created_at = LEAST(created_at, $8), tags = $9, archived_at = $10
+         WHERE id = $11`,
+        [habit.reminderTime, definition.schedule.type, definition.schedule.days, definition.schedule.times, definition.schedule.interval, definition.target, definition.unit, createdAt, habit.tags, habit.archivedAt, habitId]
+      );
+      await db.query('DELETE FROM completions WHERE habit_id = $1', [habitId]);
+      await db.query('DELETE FROM habit_entries WHERE habit_id = $1', [habitId]);
+      action = 'replaced';
+    } else if (habitId) {
+      await db.query('UPDATE habits SET created_at = LEAST(created_at, $1) WHERE id = $2', [createdAt, habitId]);
+      action = 'merged';
+    } else {
+      const result = await db.query(
+        `INSERT INTO habits (user_id, name, created_at, reminder_time, schedule_type, schedule_days, schedule_times, schedule_interval, target, unit,
+                             tags, archived_at, position)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, (SELECT COALESCE(MAX(position), 0) + 1 FROM habits WHERE user_id = $1))
+         RETURNING id`,
+        [user.id, habit.name, createdAt, habit.reminderTime, habit.schedule.type, habit.schedule.days, habit.schedule.times, habit.schedule.interval, habit.target, habit.unit,
+         habit.tags, habit.archivedAt]
+      );
+      habitId = result.rows[0].id;
+      // Later habits of the same name in the file merge into this one
+      byName.set(habit.name.toLowerCase(), habitId);
+      action = 'created';
+    }
+    summary[action]++;
+    
+    // Imported check-ins have no time they were made, so they stay out of
+    // group activity feeds
+    let completionsAdded = 0;
+    for (const c of completions) {
+      const result = await db.query(
+        'INSERT INTO completions (habit_id, completed_date, backdated, note, created_at) VALUES ($1, $2, $3, $4, NULL) ON CONFLICT DO NOTHING',
+        [habitId, c.date, c.backdated, c.note]
+      );
+      completionsAdded += result.rowCount;
+    }
+    
+    // Amounts are only added to days with none logged, so importing the
+    // same backup twice does not double them
+    let entriesAdded = 0;
+    for (const date of [...new Set(entries.map(e => e.date))]) {
+      const logged = await db.query(
+        'SELECT 1 FROM habit_entries WHERE habit_id = $1 AND entry_date = $2 LIMIT 1',
+        [habitId, date]
+      );
+      if (logged.rows.length > 0) continue;
+      for (const e of entries.filter(e => e.date === date)) {
+        await db.query(
+          'INSERT INTO habit_entries (habit_id, entry_date, amount) VALUES ($1, $2, $3)',
+          [habitId, date, e.amount]
+        );
+        entriesAdded++;
+      }
+      await syncCompletion(db, habitId, date);
+    }
+    
+    summary.completionsAdded += completionsAdded;
+    summary.entriesAdded += entriesAdded;
+    summary.habits.push({ name: habit.name, action, completions: completionsAdded, entries: entriesAdded });
+  }
+  
+  return { ...summary, errors };
+}
+
+// Import a backup or a Loop Habit Tracker export, sent as the request body.
+// With ?dryRun=1 the import runs and is rolled back, to preview it.
+app.post('/import', requireAuth, express.text({ type: 'text/*', limit: '5mb' }), async (req, res, next) => {
+  const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+  const conflict = req.query.conflict || 'skip';
+  
+  if (!IMPORT_CONFLICTS.includes(conflict)) {
+    return res.status(400).json({ error: `Conflict handling must be one of: ${IMPORT_CONFLICTS.join(', ')}` });
+  }
+  
+  if (typeof req.body !== 'string' || req.body.trim().length === 0) {
+    return res.status(400).json({ error: 'Send the file as a text/plain or text/csv body' });
+  }
+  
+  const parsed = backup.parseImport(req.body);
+  if (parsed.format === 'unknown') {
+    return res.status(422).json({ format: parsed.format, errors: parsed.errors });
+  }
+  
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await importHabits(client, req.user, parsed, conflict);
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    res.json({ dryRun, format: parsed.format, conflict, ...result });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// Older health check, kept for monitors that still call it; Kubernetes
+// probes /livez and /readyz (see observe() above)
+app.get('/health', async (req, res) => {
+  try {
+    await pool.query('SELECT 1');
+    res.status(200).json({ status: 'healthy', database: 'connected' });
+  } catch (err) {
+    console.error('Health check failed:', err);
+    res.status(503).json({ status: 'unhealthy', database: 'disconnected' });
   }
 });
 
@@ -616,17 +1659,23 @@ app.get('/api/version', (req, res) => {
 });
 
 // Check for pending reminders
-app.get('/api/reminders', ensureAuthenticated, async (req, res) => {
+app.get('/api/reminders', requireAuth, async (req, res) => {
   const userId = req.user.id;
   
   try {
     const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-    const today = getLocalDate();
+    const currentTime = timezone.localTime(req.user.timezone, now);
+    const today = getLocalDate(req.user, now);
     
-    // Get habits with reminders due and not yet completed today
+    // Get habits with reminders due and not yet completed today, with the
+    // past year of check-ins to tell whether the schedule asks for one today
     const result = await pool.query(
-      `SELECT h.id, h.name, h.reminder_time 
+      `SELECT h.id, h.name, h.reminder_time, h.created_at,
+              h.schedule_type, h.schedule_days, h.schedule_times, h.schedule_interval,
+              ARRAY(
+                SELECT completed_date::text FROM completions
+                WHERE habit_id = h.id AND completed_date > $1::date - 366
+              ) as completions
        FROM habits h
        LEFT JOIN completions c ON h.id = c.habit_id AND c.completed_date = $1
        WHERE h.user_id = $2
@@ -636,13 +1685,331 @@ app.get('/api/reminders', ensureAuthenticated, async (req, res) => {
       [today, userId, currentTime]
     );
     
-    res.json(result.rows);
+    const due = result.rows.filter(row =>
+      schedule.evaluate(schedule.fromRow(row), row.completions, getLocalDate(req.user, row.created_at), today).dueToday
+    );
+    res.json(due.map(row => ({ id: row.id, name: row.name, reminder_time: row.reminder_time })));
   } catch (err) {
     console.error('Error fetching reminders:', err);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
+// Personal access tokens (managed from the settings)
+app.get('/api/tokens', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, token_hint, scopes, created_at, last_used_at, expires_at
+       FROM api_tokens
+       WHERE user_id = $1 AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ scopes: tokens.SCOPES, tokens: result.rows });
+  } catch (err) {
+    console.error('Error fetching tokens:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a token; the response is the only time the token itself is shown
+app.post('/api/tokens', requireAuth, async (req, res) => {
+  const { name, scopes, expiresAt, error } = tokens.parseTokenRequest(req.body);
+  if (error) {
+    return res.status(422).json({ error });
+  }
+  
+  try {
+    const { token, hash, hint } = tokens.generateToken();
+    const result = await pool.query(
+      `INSERT INTO api_tokens (user_id, name, token_hash, token_hint, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, token_hint, scopes, created_at, expires_at`,
+      [req.user.id, name, hash, hint, scopes, expiresAt]
+    );
+    res.status(201).json({ ...result.rows[0], token });
+  } catch (err) {
+    console.error('Error creating token:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/api/tokens/:id(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE api_tokens SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error revoking token:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// 6. API V1
+// JSON API for scripts and integrations. Requests authenticate with a
+// personal access token rather than the session cookie, validation errors
+// are 422, habits of other users are 404, and each user can make 120
+// requests a minute.
+const api = express.Router();
+api.use(tokens.authenticate(pool));
+api.use(rateLimit(pool, { name: 'api', windowMs: MINUTE, max: 120, methods: null }));
+
+function habitJson(habit) {
+  return {
+    id: habit.id,
+    name: habit.name,
+    createdAt: habit.created_at,
+    startDate: habit.startDate,
+    reminderTime: habit.reminderTime ? habit.reminderTime.slice(0, 5) : null,
+    schedule: habit.schedule,
+    scheduleLabel: habit.scheduleLabel,
+    target: habit.target,
+    unit: habit.unit,
+    tags: habit.tags,
+    archived: habit.archivedAt !== null,
+    archivedAt: habit.archivedAt,
+    position: habit.position,
+    challengeId: habit.challengeId,
+    streak: habit.streak,
+    streakUnit: habit.streakUnit,
+    completionRate: habit.completionRate,
+    dueToday: habit.dueToday,
+    checkedInToday: habit.checkedInToday,
+    todayAmount: habit.target === null ? null : habit.todayAmount,
+    period: { done: habit.periodDone, target: habit.periodTarget },
+    totalCompletions: habit.totalCompletions
+  };
+}
+
+// The form fields readHabitInput reads, from API JSON like
+// { name, reminderTime, schedule: { type, days, times, interval }, target, unit, tags }.
+// `current` fills in whatever a PATCH leaves out.
+function habitFields(body, current = {}) {
+  const pick = (key) => (body[key] !== undefined ? body[key] : current[key]);
+  const habitSchedule = pick('schedule') || {};
+  const target = pick('target');
+  return {
+    habitName: pick('name'),
+    reminderTime: pick('reminderTime'),
+    scheduleType: habitSchedule.type,
+    scheduleDays: habitSchedule.days,
+    scheduleTimes: habitSchedule.times,
+    scheduleInterval: habitSchedule.interval,
+    habitTarget: target === null || target === undefined ? '' : target,
+    habitUnit: pick('unit'),
+    habitTags: pick('tags')
+  };
+}
+
+async function findHabit(req) {
+  const [habit] = await loadHabits(req.user, req.params.id);
+  return habit || null;
+}
+
+// Active habits, or archived ones with ?archived=true; ?tag=<tag> filters by tag
+api.get('/habits', tokens.requireScope('habits:read'), async (req, res) => {
+  try {
+    const tag = typeof req.query.tag === 'string' ? req.query.tag.toLowerCase() : null;
+    const habits = (await loadHabits(req.user, null, req.query.archived === 'true'))
+      .filter(h => !tag || h.tags.some(t => t.toLowerCase() === tag))
+      .sort((a, b) => a.position - b.position);
+    res.json({ habits: habits.map(habitJson) });
+  } catch (err) {
+    console.error('Error loading habits:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+api.post('/habits', tokens.requireScope('habits:write'), async (req, res) => {
+  const { habit, error } = readHabitInput(habitFields(req.body));
+  if (error) {
+    return res.status(422).json({ error });
+  }
+  
+  try {
+    const id = await insertHabit(req.user.id, habit);
+    const [created] = await loadHabits(req.user, id);
+    res.status(201).json({ habit: habitJson(created) });
+  } catch (err) {
+    console.error('Error adding habit:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+api.get('/habits/:id(\\d+)', tokens.requireScope('habits:read'), async (req, res) => {
+  try {
+    const habit = await findHabit(req);
+    if (!habit) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+    res.json({ habit: habitJson(habit) });
+  } catch (err) {
+    console.error('Error loading habit:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+api.patch('/habits/:id(\\d+)', tokens.requireScope('habits:write'), async (req, res) => {
+  try {
+    const current = await findHabit(req);
+    if (!current) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+    
+    const { habit, error } = readHabitInput(habitFields(req.body, current));
+    if (error) {
+      return res.status(422).json({ error });
+    }
+    if (req.body.archived !== undefined && typeof req.body.archived !== 'boolean') {
+      return res.status(422).json({ error: 'archived must be true or false' });
+    }
+    
+    await updateHabit(current.id, req.user.id, habit);
+    if (req.body.archived !== undefined) {
+      await setArchived(current.id, req.user.id, req.body.archived);
+    }
+    res.json({ habit: habitJson(await findHabit(req)) });
+  } catch (err) {
+    console.error('Error editing habit:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+api.delete('/habits/:id(\\d+)', tokens.requireScope('habits:write'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM habits WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting habit:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+api.get('/habits/:id(\\d+)/history', tokens.requireScope('habits:read'), async (req, res) => {
+  try {
+    const habit = await findHabit(req);
+    if (!habit) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+    res.json({ habitId: habit.id, target: habit.target, unit: habit.unit, ...await habitHistory(habit.id) });
+  } catch (err) {
+    console.error('Error fetching history:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Check in for today or a past `date` in the grace window; with `amount`,
+// log that much towards a quantitative habit's target instead. A `note` is
+// kept once the day is complete, and replaces any note it already had.
+api.post('/habits/:id(\\d+)/checkins', tokens.requireScope('checkins:write'), async (req, res) => {
+  try {
+    const habit = await findHabit(req);
+    if (!habit) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+    if (habit.archivedAt !== null) {
+      return res.status(409).json({ error: 'Unarchive this habit to check in' });
+    }
+    
+    const { date, backdated, error } = checkinDate(req.user, habit, req.body.date);
+    if (error) {
+      return res.status(422).json({ error });
+    }
+    
+    const { note, error: noteError } = organize.parseNote(req.body.note);
+    if (noteError) {
+      return res.status(422).json({ error: noteError });
+    }
+    
+    if (req.body.amount !== undefined) {
+      const amount = quantity.parseAmount(req.body.amount);
+      if (habit.target === null) {
+        return res.status(422).json({ error: 'This habit has no target to log amounts against' });
+      }
+      if (amount === null) {
+        return res.status(422).json({ error: `Amount must be a number between 0 and ${quantity.MAX_AMOUNT}` });
+      }
+      await logAmount(habit.id, req.user.id, date, amount, backdated);
+    } else {
+      await checkInHabit(habit, req.user.id, date, backdated);
+    }
+    
+    const noteSaved = req.body.note !== undefined && await setCheckInNote(habit.id, date, note);
+    res.status(201).json({
+      date,
+      ...(req.body.note !== undefined && { note: noteSaved ? note : null }),
+      habit: habitJson(await findHabit(req))
+    });
+  } catch (err) {
+    console.error('Error checking in:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+api.delete('/habits/:id(\\d+)/checkins/:date', tokens.requireScope('checkins:write'), async (req, res) => {
+  try {
+    const habit = await findHabit(req);
+    if (!habit) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+    
+    const { date, error } = checkinDate(req.user, habit, req.params.date);
+    if (error) {
+      return res.status(422).json({ error });
+    }
+    
+    await undoHabitCheckIn(habit, date);
+    res.json({ date, habit: habitJson(await findHabit(req)) });
+  } catch (err) {
+    console.error('Error undoing check-in:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+api.get('/stats', tokens.requireScope('habits:read'), async (req, res) => {
+  try {
+    const today = getLocalDate(req.user);
+    const habits = await loadHabits(req.user);
+    res.json({ date: today, timezone: timezone.resolve(req.user.timezone), ...summarizeHabits(habits, today) });
+  } catch (err) {
+    console.error('Error fetching stats:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+api.get('/analytics', tokens.requireScope('habits:read'), async (req, res) => {
+  try {
+    const { stats, status, error } = await loadAnalytics(req.user, req.query.habit);
+    if (error) {
+      return res.status(status === 400 ? 422 : status).json({ error });
+    }
+    res.json(stats);
+  } catch (err) {
+    console.error('Error loading analytics:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+api.use((req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+app.use('/api/v1', api);
+
+// Anything a route passed on, without the details (@my-platform/security)
+app.use(errorHandler());
+
 // 5. START SERVER
 const PORT = 8080;
 app.listen(PORT, () => {
@@ -0,0 +1,237 @@
+// Habit analytics: a year-long heatmap, longest and current streaks,
+// weekly and monthly completion-rate trends and day-of-week performance,
+// for one habit or all of a user's habits. Streaks and rates follow the
+// rules in lib/schedule.js but are worked out in SQL, so years of check-ins
+// never have to leave the database.
+
+const schedule = require('./schedule');
+
+const HEATMAP_DAYS = 365;
+const TREND_WEEKS = 12;
+const TREND_MONTHS = 12;
+
+// Shared CTEs; $1 user id, $2 habit id or null, $3 timezone, $4 today.
+//   habit    the habits, with the day each began on the user's clock
+//   day      every day since then the schedule asks something of (all days
+//            but off days), with the period it falls in
+//   period   each period, whether it was met and the check-ins in it
+//   counted  the periods rates and streaks count: met ones, and missed ones
+//            that are over and that the habit existed for all of. `run`
+//            numbers runs of met and missed periods (gaps and islands).
+//   run      each run of met periods, i.e. each streak
+const PERIODS = `
+  WITH habit AS (
+    SELECT id, name, schedule_type, schedule_days, schedule_times, schedule_interval,
+           LEAST((created_at AT TIME ZONE 'UTC' AT TIME ZONE $3)::date, $4::date) as start_date
+    FROM habits
+    WHERE user_id = $1 AND ($2::integer IS NULL OR id = $2)
+  ),
+  day AS (
+    SELECT h.id as habit_id,
+           d.day,
+           CASE h.schedule_type
+             WHEN 'weekly' THEN date_trunc('week', d.day::timestamp)::date
+             WHEN 'monthly' THEN date_trunc('month', d.day::timestamp)::date
+             WHEN 'interval' THEN h.start_date + (d.day - h.start_date) / h.schedule_interval * h.schedule_interval
+             ELSE d.day
+           END as period_start,
+           c.id IS NOT NULL as completed
+    FROM habit h
+    CROSS JOIN LATERAL (
+      SELECT h.start_date + n as day FROM generate_series(0, $4::date - h.start_date) n
+    ) d
+    LEFT JOIN completions c ON c.habit_id = h.id AND c.completed_date = d.day
+    WHERE h.schedule_type <> 'weekdays' OR EXTRACT(DOW FROM d.day)::integer = ANY(h.schedule_days)
+  ),
+  period AS (
+    SELECT d.habit_id,
+           d.period_start,
+           CASE h.schedule_type
+             WHEN 'weekly' THEN d.period_start + 6
+             WHEN 'monthly' THEN (d.period_start + interval '1 month')::date - 1
+             WHEN 'interval' THEN d.period_start + h.schedule_interval - 1
+             ELSE d.period_start
+           END as period_end,
+           COUNT(*) FILTER (WHERE d.completed)
+             >= CASE WHEN h.schedule_type IN ('weekly', 'monthly') THEN h.schedule_times ELSE 1 END as met,
+           MIN(d.day) FILTER (WHERE d.completed) as first_done,
+           MAX(d.day) FILTER (WHERE d.completed) as last_done,
+           d.period_start < h.start_date as before_start
+    FROM day d
+    JOIN habit h ON h.id = d.habit_id
+    GROUP BY d.habit_id, d.period_start, h.schedule_type, h.schedule_times, h.schedule_interval, h.start_date
+  ),
+  counted AS (
+    SELECT *,
+           ROW_NUMBER() OVER (PARTITION BY habit_id ORDER BY period_start)
+             - ROW_NUMBER() OVER (PARTITION BY habit_id, met ORDER BY period_start) as run_id
+    FROM period
+    WHERE met OR (period_end < $4::date AND NOT before_start)
+  ),
+  run AS (
+    SELECT habit_id,
+           COUNT(*) as length,
+           MIN(first_done) as first_day,
+           MAX(last_done) as last_day,
+           MAX(period_start) as last_period
+    FROM counted
+    WHERE met
+    GROUP BY habit_id, run_id
+  )
+`;
+
+// Per habit: completion rate, longest streak (the latest, on a tie) and
+// current streak, which is the last run if no missed period came after it.
+// Also the trends and weekday numbers, in the same query so the CTEs above
+// are only worked out once.
+async function loadPeriodStats(pool, params, trendWeeks, trendMonths) {
+  const trend = (unit, count) => `
+    SELECT COALESCE(json_agg(t), '[]') FROM (
+      SELECT date_trunc('${unit}', LEAST(period_end, $4::date)::timestamp)::date::text as start,
+             COUNT(*) FILTER (WHERE met)::integer as met,
+             COUNT(*)::integer as total
+      FROM counted
+      WHERE LEAST(period_end, $4::date) >= date_trunc('${unit}', $4::date::timestamp) - interval '${count - 1} ${unit}s'
+      GROUP BY 1
+    ) t
+  `;
+
+  const result = await pool.query(`
+    ${PERIODS}
+    SELECT
+      (SELECT COALESCE(json_agg(h ORDER BY h.name), '[]') FROM (
+        SELECT h.id, h.name, h.schedule_type, h.schedule_days, h.schedule_times, h.schedule_interval,
+               h.start_date::text as start_date,
+               (SELECT COUNT(*) FROM completions c WHERE c.habit_id = h.id)::integer as total_completions,
+               (SELECT COUNT(*) FROM counted WHERE habit_id = h.id AND met)::integer as periods_met,
+               (SELECT COUNT(*) FROM counted WHERE habit_id = h.id)::integer as periods_counted,
+               best.length::integer as longest_length,
+               best.first_day::text as longest_start,
+               best.last_day::text as longest_end,
+               COALESCE((
+                 SELECT r.length FROM run r
+                 WHERE r.habit_id = h.id
+                 AND r.last_period = (SELECT MAX(period_start) FROM counted WHERE habit_id = h.id)
+               ), 0)::integer as current_length
+        FROM habit h
+        LEFT JOIN LATERAL (
+          SELECT * FROM run r WHERE r.habit_id = h.id ORDER BY r.length DESC, r.last_period DESC LIMIT 1
+        ) best ON true
+      ) h) as habits,
+      (${trend('week', trendWeeks)}) as weekly,
+      (${trend('month', trendMonths)}) as monthly,
+      -- Scheduled days and check-ins by weekday; today only counts once done
+      (SELECT COALESCE(json_agg(w), '[]') FROM (
+        SELECT EXTRACT(DOW FROM day)::integer as weekday,
+               COUNT(*) FILTER (WHERE completed)::integer as completed,
+               COUNT(*)::integer as scheduled
+        FROM day
+        WHERE day < $4::date OR completed
+        GROUP BY 1
+      ) w) as weekdays
+  `, params);
+  return result.rows[0];
+}
+
+// Check-ins per day over the past year
+async function loadHeatmap(pool, userId, habitId, today) {
+  const result = await pool.query(`
+    SELECT c.completed_date::text as date, COUNT(*)::integer as count
+    FROM completions c
+    JOIN habits h ON h.id = c.habit_id
+    WHERE h.user_id = $1 AND ($2::integer IS NULL OR h.id = $2)
+    AND c.completed_date BETWEEN $3::date - ${HEATMAP_DAYS - 1} AND $3::date
+    GROUP BY c.completed_date
+  `, [userId, habitId, today]);
+  return new Map(result.rows.map(row => [row.date, row.count]));
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : null;
+}
+
+// The last `count` weeks (starting Mondays) or months up to `today`, oldest first
+function buckets(unit, count, today) {
+  const list = [];
+  if (unit === 'week') {
+    const day = schedule.toDay(today);
+    const monday = day - ((day + 3) % 7);
+    for (let i = count - 1; i >= 0; i--) list.push(schedule.fromDay(monday - i * 7));
+  } else {
+    const [year, month] = today.split('-').map(Number);
+    for (let i = count - 1; i >= 0; i--) {
+      list.push(new Date(Date.UTC(year, month - 1 - i, 1)).toISOString().slice(0, 10));
+    }
+  }
+  return list;
+}
+
+function trendJson(rows, unit, count, today) {
+  const byStart = new Map(rows.map(row => [row.start, row]));
+  return buckets(unit, count, today).map(start => {
+    const row = byStart.get(start) || { met: 0, total: 0 };
+    return { start, met: row.met, total: row.total, rate: percent(row.met, row.total) };
+  });
+}
+
+// Everything on the analytics page for `userId`'s habits, or just `habitId`,
+// as of `today` in `timeZone`. Returns null if the user has no such habit.
+async function load(pool, { userId, habitId = null, timeZone, today }) {
+  const stats = await loadPeriodStats(pool, [userId, habitId, timeZone, today], TREND_WEEKS, TREND_MONTHS);
+  const heatmap = await loadHeatmap(pool, userId, habitId, today);
+  const habitRows = stats.habits;
+
+  if (habitId !== null && habitRows.length === 0) return null;
+
+  const habits = habitRows.map(row => {
+    const habitSchedule = schedule.fromRow(row);
+    return {
+      id: row.id,
+      name: row.name,
+      scheduleLabel: schedule.describeSchedule(habitSchedule),
+      streakUnit: schedule.streakUnit(habitSchedule),
+      startDate: row.start_date,
+      totalCompletions: row.total_completions,
+      completionRate: percent(row.periods_met, row.periods_counted),
+      currentStreak: row.current_length,
+      longestStreak: row.longest_length
+        ? { length: row.longest_length, start: row.longest_start, end: row.longest_end }
+        : null
+    };
+  });
+
+  const todayDay = schedule.toDay(today);
+  const heatmapDays = [];
+  for (let day = todayDay - HEATMAP_DAYS + 1; day <= todayDay; day++) {
+    const date = schedule.fromDay(day);
+    heatmapDays.push({ date, count: heatmap.get(date) || 0 });
+  }
+
+  const best = habits
+    .filter(h => h.longestStreak)
+    .sort((a, b) => b.longestStreak.length - a.longestStreak.length)[0];
+
+  return {
+    today,
+    habitId,
+    habits,
+    totals: {
+      habits: habits.length,
+      completions: habits.reduce((sum, h) => sum + h.totalCompletions, 0),
+      completionRate: percent(
+        habitRows.reduce((sum, row) => sum + row.periods_met, 0),
+        habitRows.reduce((sum, row) => sum + row.periods_counted, 0)
+      ),
+      longestStreak: best ? { habitId: best.id, name: best.name, unit: best.streakUnit, ...best.longestStreak } : null
+    },
+    heatmap: heatmapDays,
+    weekly: trendJson(stats.weekly, 'week', TREND_WEEKS, today),
+    monthly: trendJson(stats.monthly, 'month', TREND_MONTHS, today),
+    weekdays: schedule.WEEKDAY_NAMES.map((name, weekday) => {
+      const row = stats.weekdays.find(w => w.weekday === weekday) || { completed: 0, scheduled: 0 };
+      return { weekday, name, completed: row.completed, scheduled: row.scheduled, rate: percent(row.completed, row.scheduled) };
+    })
+  };
+}
+
+module.exports = { HEATMAP_DAYS, load };
@@ -0,0 +1,398 @@
+// Backups: a JSON and a CSV export holding everything about a user's habits,
+// and parsers that read those back, or exports from Loop Habit Tracker,
+// into one shape for the import:
+//   { format, habits: [{ row, name, createdAt, reminderTime, schedule, target,
+//                        unit, tags, archivedAt,
+//                        completions: [{ row, date, backdated, note }],
+//                        entries: [{ row, date, amount }] }],
+//     errors: [{ row, error }] }
+// `row` says where a record came from (a CSV line number or a JSON path) so
+// problems can be reported per row.
+
+const schedule = require('./schedule');
+const quantity = require('./quantity');
+const organize = require('./organize');
+
+const BACKUP_VERSION = 1;
+const CSV_COLUMNS = [
+  'habit_id', 'name', 'created_at', 'reminder_time',
+  'schedule_type', 'schedule_days', 'schedule_times', 'schedule_interval',
+  'target', 'unit', 'date', 'completed', 'backdated', 'amount',
+  'tags', 'archived_at', 'note'
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted cells may hold commas, doubled quotes and line breaks.
+// Returns [{ line, cells }] with the line number each record starts on.
+function parseCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      cells.push(cell);
+      if (cells.length > 1 || cells[0] !== '') records.push({ line: start, cells });
+      cells = [];
+      cell = '';
+      line++;
+      start = line;
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  if (cells.length > 1 || cells[0] !== '') records.push({ line: start, cells });
+  return records;
+}
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    schedule.fromDay(schedule.toDay(value)) === value;
+}
+
+// A backup of `habits`, each with `completions` [{ date, backdated, note }]
+// and `entries` [{ date, amount, createdAt }]
+function toJson(habits, meta) {
+  return {
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...meta,
+    habits: habits.map(h => ({
+      id: h.id,
+      name: h.name,
+      createdAt: h.createdAt,
+      reminderTime: h.reminderTime,
+      schedule: h.schedule,
+      target: h.target,
+      unit: h.unit,
+      tags: h.tags,
+      archivedAt: h.archivedAt,
+      completions: h.completions,
+      entries: h.entries
+    }))
+  };
+}
+
+// The same backup as CSV: a row per habit per day with a completion or an
+// amount (amounts summed per day), or one row with no date for a habit
+// with neither
+function toBackupCsv(habits) {
+  const rows = [CSV_COLUMNS];
+  for (const h of habits) {
+    const habitCells = [
+      h.id, h.name, h.createdAt, h.reminderTime,
+      h.schedule.type, h.schedule.days ? h.schedule.days.join(';') : '', h.schedule.times, h.schedule.interval,
+      h.target, h.unit
+    ];
+    const organizeCells = [h.tags.join(';'), h.archivedAt];
+    const days = new Map();
+    for (const c of h.completions) {
+      days.set(c.date, { completed: true, backdated: c.backdated, amount: null, note: c.note });
+    }
+    for (const e of h.entries) {
+      const day = days.get(e.date) || { completed: false, backdated: false, amount: null, note: null };
+      day.amount = (day.amount || 0) + e.amount;
+      days.set(e.date, day);
+    }
+    if (days.size === 0) {
+      rows.push([...habitCells, '', '', '', '', ...organizeCells, '']);
+    }
+    for (const date of [...days.keys()].sort()) {
+      const day = days.get(date);
+      rows.push([...habitCells, date, day.completed ? 'yes' : 'no', day.backdated ? 'yes' : 'no', day.amount, ...organizeCells, day.note]);
+    }
+  }
+  return toCsv(rows);
+}
+
+// Check a habit's settings the way the add form does. Returns the habit
+// fields or { error }.
+function readHabit(fields) {
+  const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+  if (name.length === 0 || name.length > 100) {
+    return { error: 'Habit name must be 1 to 100 characters' };
+  }
+
+  const reminderTime = fields.reminderTime || null;
+  if (reminderTime && !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(reminderTime)) {
+    return { error: `Invalid reminder time "${reminderTime}"` };
+  }
+
+  const s = fields.schedule || {};
+  const { schedule: habitSchedule, error } = schedule.parseSchedule({
+    scheduleType: s.type || 'daily',
+    scheduleDays: s.days,
+    scheduleTimes: s.times,
+    scheduleInterval: s.interval
+  });
+  if (error) return { error };
+
+  const { target, unit, error: targetError } = quantity.parseTarget({
+    habitTarget: fields.target === null || fields.target === undefined ? '' : fields.target,
+    habitUnit: fields.unit
+  });
+  if (targetError) return { error: targetError };
+
+  const createdAt = fields.createdAt ? new Date(fields.createdAt) : null;
+  if (createdAt && isNaN(createdAt)) {
+    return { error: `Invalid creation date "${fields.createdAt}"` };
+  }
+
+  const { tags, error: tagsError } = organize.parseTags(fields.tags);
+  if (tagsError) return { error: tagsError };
+
+  const archivedAt = fields.archivedAt ? new Date(fields.archivedAt) : null;
+  if (archivedAt && isNaN(archivedAt)) {
+    return { error: `Invalid archive date "${fields.archivedAt}"` };
+  }
+
+  return { name, createdAt, reminderTime, schedule: habitSchedule, target, unit, tags, archivedAt };
+}
+
+function parseBackupJson(text) {
+  const errors = [];
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { format: 'backup-json', habits: [], errors: [{ row: 'file', error: 'Not valid JSON' }] };
+  }
+  if (!data || !Array.isArray(data.habits)) {
+    return { format: 'backup-json', habits: [], errors: [{ row: 'file', error: 'No "habits" list in the backup' }] };
+  }
+  if (data.version > BACKUP_VERSION) {
+    return { format: 'backup-json', habits: [], errors: [{ row: 'file', error: `Backup version ${data.version} is newer than this app` }] };
+  }
+
+  const habits = [];
+  data.habits.forEach((raw, i) => {
+    const row = `habits[${i}]`;
+    const habit = readHabit(raw || {});
+    if (habit.error) {
+      errors.push({ row, error: habit.error });
+      return;
+    }
+
+    habit.row = row;
+    habit.completions = [];
+    habit.entries = [];
+    (Array.isArray(raw.completions) ? raw.completions : []).forEach((c, j) => {
+      const date = typeof c === 'string' ? c : c && c.date;
+      const { note, error: noteError } = organize.parseNote(c && c.note);
+      if (!isDate(date)) {
+        errors.push({ row: `${row}.completions[${j}]`, error: `Invalid date "${date}"` });
+      } else if (noteError) {
+        errors.push({ row: `${row}.completions[${j}]`, error: noteError });
+      } else {
+        habit.completions.push({ row: `${row}.completions[${j}]`, date, backdated: Boolean(c && c.backdated), note });
+      }
+    });
+    (Array.isArray(raw.entries) ? raw.entries : []).forEach((e, j) => {
+      const amount = quantity.parseAmount(e && e.amount);
+      if (!e || !isDate(e.date)) {
+        errors.push({ row: `${row}.entries[${j}]`, error: `Invalid date "${e && e.date}"` });
+      } else if (amount === null) {
+        errors.push({ row: `${row}.entries[${j}]`, error: `Invalid amount "${e.amount}"` });
+      } else {
+        habit.entries.push({ row: `${row}.entries[${j}]`, date: e.date, amount });
+      }
+    });
+    habits.push(habit);
+  });
+
+  return { format: 'backup-json', habits, errors };
+}
+
+function parseBackupCsv(records) {
+  const [header, ...rows] = records;
+  const col = Object.fromEntries(header.cells.map((name, i) => [name.trim(), i]));
+  const habits = new Map();
+  const errors = [];
+
+  for (const { line, cells } of rows) {
+    const get = (name) => (col[name] === undefined ? '' : (cells[col[name]] || '').trim());
+    const key = get('habit_id') || get('name').toLowerCase();
+
+    if (!habits.has(key)) {
+      const habit = readHabit({
+        name: get('name'),
+        createdAt: get('created_at'),
+        reminderTime: get('reminder_time'),
+        schedule: {
+          type: get('schedule_type') || 'daily',
+          days: get('schedule_days') ? get('schedule_days').split(';') : [],
+          times: get('schedule_times'),
+          interval: get('schedule_interval')
+        },
+        target: get('target'),
+        unit: get('unit'),
+        tags: get('tags') ? get('tags').split(';') : [],
+        archivedAt: get('archived_at')
+      });
+      if (habit.error) {
+        errors.push({ row: line, error: habit.error });
+        continue;
+      }
+      habits.set(key, { ...habit, row: line, completions: [], entries: [] });
+    }
+
+    const habit = habits.get(key);
+    const date = get('date');
+    if (!date) continue;
+    if (!isDate(date)) {
+      errors.push({ row: line, error: `Invalid date "${date}"` });
+      continue;
+    }
+    if (get('completed') === 'yes') {
+      const { note, error: noteError } = organize.parseNote(get('note'));
+      if (noteError) {
+        errors.push({ row: line, error: noteError });
+      } else {
+        habit.completions.push({ row: line, date, backdated: get('backdated') === 'yes', note });
+      }
+    }
+    if (get('amount')) {
+      const amount = quantity.parseAmount(get('amount'));
+      if (amount === null) {
+        errors.push({ row: line, error: `Invalid amount "${get('amount')}"` });
+      } else {
+        habit.entries.push({ row: line, date, amount });
+      }
+    }
+  }
+
+  return { format: 'backup-csv', habits: [...habits.values()], errors };
+}
+
+// Loop's Habits.csv: a habit per row, repeating NumRepetitions times every
+// Interval days
+function loopSchedule(repetitions, interval) {
+  if (repetitions === 1 && interval === 1) return { type: 'daily' };
+  if (interval === 7) return { type: 'weekly', times: repetitions };
+  if (interval === 30 || interval === 31) return { type: 'monthly', times: repetitions };
+  if (repetitions === 1) return { type: 'interval', interval };
+  return null;
+}
+
+function parseLoopHabits(records) {
+  const [header, ...rows] = records;
+  const col = Object.fromEntries(header.cells.map((name, i) => [name.trim(), i]));
+  const habits = [];
+  const errors = [];
+
+  for (const { line, cells } of rows) {
+    const repetitions = Number(cells[col.NumRepetitions]);
+    const interval = Number(cells[col.Interval]);
+    const loop = loopSchedule(repetitions, interval);
+    if (!loop) {
+      errors.push({ row: line, error: `Unsupported frequency: ${repetitions} times every ${interval} days` });
+      continue;
+    }
+    const habit = readHabit({ name: cells[col.Name], schedule: loop });
+    if (habit.error) {
+      errors.push({ row: line, error: habit.error });
+      continue;
+    }
+    habits.push({ ...habit, row: line, completions: [], entries: [] });
+  }
+
+  return { format: 'loop-habits', habits, errors };
+}
+
+// Loop's Checkmarks.csv: a row per date and a column per habit; 2 means the
+// habit was checked that day (1 is Loop's own "done for this period" fill-in)
+function parseLoopCheckmarks(records) {
+  const [header, ...rows] = records;
+  const habits = [];
+  const errors = [];
+
+  header.cells.slice(1).forEach((name, i) => {
+    const habit = readHabit({ name });
+    if (habit.error) {
+      errors.push({ row: header.line, error: `Column ${i + 2}: ${habit.error}` });
+      return;
+    }
+    habit.row = header.line;
+    habit.completions = [];
+    habit.entries = [];
+    habit.column = i + 1;
+    habits.push(habit);
+  });
+
+  for (const { line, cells } of rows) {
+    const date = (cells[0] || '').trim();
+    if (!isDate(date)) {
+      errors.push({ row: line, error: `Invalid date "${date}"` });
+      continue;
+    }
+    for (const habit of habits) {
+      if ((cells[habit.column] || '').trim() === '2') {
+        habit.completions.push({ row: line, date, backdated: false, note: null });
+      }
+    }
+  }
+
+  habits.forEach(habit => delete habit.column);
+  return { format: 'loop-checkmarks', habits, errors };
+}
+
+// Work out what `text` is and parse it
+function parseImport(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (trimmed.startsWith('{')) {
+    return parseBackupJson(trimmed);
+  }
+
+  const records = parseCsv(trimmed);
+  if (records.length === 0) {
+    return { format: 'unknown', habits: [], errors: [{ row: 'file', error: 'The file is empty' }] };
+  }
+
+  const header = records[0].cells.map(cell => cell.trim());
+  if (header.includes('name') && header.includes('schedule_type')) {
+    return parseBackupCsv(records);
+  }
+  if (header.includes('Name') && header.includes('NumRepetitions') && header.includes('Interval')) {
+    return parseLoopHabits(records);
+  }
+  if (header[0] === 'Date' && header.length > 1) {
+    return parseLoopCheckmarks(records);
+  }
+  return {
+    format: 'unknown',
+    habits: [],
+    errors: [{ row: 'file', error: 'Unrecognised file: expected a Habit Tracker backup or a Loop Habit Tracker Habits.csv or Checkmarks.csv' }]
+  };
+}
+
+module.exports = { BACKUP_VERSION, toCsv, toJson, toBackupCsv, parseCsv, parseImport };
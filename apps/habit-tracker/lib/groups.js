@@ -0,0 +1,275 @@
+// Accountability groups. Members invite each other by email and run shared
+// challenges ("30 days of no sugar"): a challenge holds one habit definition
+// and every member who joins gets a habit of their own copied from it, so
+// check-ins, reminders and streaks work as for any other habit. Each member
+// chooses whether the group sees their stats on the leaderboard and their
+// check-ins in the activity feed.
+
+const schedule = require('./schedule');
+const timezone = require('./timezone');
+
+const MAX_CHALLENGE_DAYS = 366;
+const FEED_LIMIT = 30;
+
+// Read a group's name and description from form fields.
+// Returns { group } or { error }.
+function parseGroupInput(input = {}) {
+  const name = typeof input.groupName === 'string' ? input.groupName.trim() : '';
+  if (name.length === 0 || name.length > 60) {
+    return { error: 'Group name must be 1 to 60 characters' };
+  }
+
+  const description = typeof input.groupDescription === 'string' ? input.groupDescription.trim() : '';
+  if (description.length > 300) {
+    return { error: 'Description too long (max 300 characters)' };
+  }
+
+  return { group: { name, description: description || null } };
+}
+
+// Read when a challenge runs from form fields: `startDate` (default today)
+// and an optional length in days. Returns { startDate, endDate } or { error }.
+function parseChallengeDates(input = {}, today) {
+  const startDate = input.startDate || today;
+  if (typeof startDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(startDate) ||
+      schedule.fromDay(schedule.toDay(startDate)) !== startDate) {
+    return { error: 'Start date must look like YYYY-MM-DD' };
+  }
+  if (Math.abs(schedule.toDay(startDate) - schedule.toDay(today)) > MAX_CHALLENGE_DAYS) {
+    return { error: 'Start date must be within a year of today' };
+  }
+
+  if (input.durationDays === undefined || input.durationDays === '') {
+    return { startDate, endDate: null };
+  }
+  const days = Number(input.durationDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_CHALLENGE_DAYS) {
+    return { error: `Length must be between 1 and ${MAX_CHALLENGE_DAYS} days` };
+  }
+  return { startDate, endDate: schedule.fromDay(schedule.toDay(startDate) + days - 1) };
+}
+
+// The habit fields a challenge fixes for everyone taking part
+function challengeDefinition(row) {
+  return { name: row.name, schedule: schedule.fromRow(row), target: row.target, unit: row.unit };
+}
+
+// The groups `userId` belongs to, with their role and a few counts
+async function listGroups(pool, userId) {
+  const result = await pool.query(
+    `SELECT g.id, g.name, g.description, m.role,
+            (SELECT COUNT(*) FROM group_members WHERE group_id = g.id)::integer as member_count,
+            (SELECT COUNT(*) FROM challenges WHERE group_id = g.id)::integer as challenge_count
+     FROM habit_groups g
+     JOIN group_members m ON m.group_id = g.id
+     WHERE m.user_id = $1
+     ORDER BY g.name`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// Invitations waiting for whoever signs in with `email`
+async function listInvites(pool, email) {
+  const result = await pool.query(
+    `SELECT i.id, i.created_at, g.id as group_id, g.name as group_name, u.name as invited_by
+     FROM group_invites i
+     JOIN habit_groups g ON g.id = i.group_id
+     LEFT JOIN users u ON u.id = i.invited_by
+     WHERE lower(i.email) = lower($1)
+     ORDER BY i.created_at DESC`,
+    [email]
+  );
+  return result.rows;
+}
+
+// `userId`'s membership of `groupId`, or null
+async function membership(pool, groupId, userId) {
+  const result = await pool.query(
+    'SELECT * FROM group_members WHERE group_id = $1 AND user_id = $2',
+    [groupId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// A challenge in a group `userId` belongs to, with their role there, or null
+async function loadChallenge(pool, challengeId, userId) {
+  const result = await pool.query(
+    `SELECT ch.*, ch.start_date::text as start_date, ch.end_date::text as end_date, m.role
+     FROM challenges ch
+     JOIN group_members m ON m.group_id = ch.group_id AND m.user_id = $2
+     WHERE ch.id = $1`,
+    [challengeId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Standings in a challenge: each participant's streak, completion rate and
+// check-ins, counted from when they joined (or the challenge started) to
+// today on their own clock, or to the end of the challenge. Members who do
+// not share their stats are left out, except for `viewerId`.
+async function leaderboard(pool, challenge, viewerId) {
+  const result = await pool.query(
+    `SELECT h.id as habit_id, h.user_id, h.created_at, u.name, u.picture, u.timezone, m.share_stats,
+            ARRAY(
+              SELECT completed_date::text FROM completions
+              WHERE habit_id = h.id AND completed_date >= $2
+              AND ($3::date IS NULL OR completed_date <= $3)
+            ) as completions
+     FROM habits h
+     JOIN users u ON u.id = h.user_id
+     JOIN group_members m ON m.group_id = $4 AND m.user_id = h.user_id
+     WHERE h.challenge_id = $1`,
+    [challenge.id, challenge.start_date, challenge.end_date, challenge.group_id]
+  );
+
+  const definition = schedule.fromRow(challenge);
+  const entries = result.rows.map(row => {
+    const today = timezone.localDate(row.timezone);
+    const until = challenge.end_date && challenge.end_date < today ? challenge.end_date : today;
+    const joined = timezone.localDate(row.timezone, row.created_at);
+    const start = joined > challenge.start_date ? joined : challenge.start_date;
+    const progress = start <= until
+      ? schedule.evaluate(definition, row.completions, start, until)
+      : { streak: 0, rate: null };
+
+    return {
+      userId: row.user_id,
+      name: row.name,
+      picture: row.picture,
+      isViewer: row.user_id === viewerId,
+      shared: row.share_stats,
+      streak: progress.streak,
+      completionRate: progress.rate,
+      checkIns: row.completions.length
+    };
+  });
+
+  const visible = entries
+    .filter(e => e.shared || e.isViewer)
+    .sort((a, b) => b.streak - a.streak ||
+      (b.completionRate === null ? -1 : b.completionRate) - (a.completionRate === null ? -1 : a.completionRate) ||
+      b.checkIns - a.checkIns);
+  visible.forEach((entry, i) => { entry.rank = i + 1; });
+
+  return {
+    participants: entries.length,
+    joined: entries.some(e => e.isViewer),
+    entries: visible,
+    hidden: entries.length - visible.length
+  };
+}
+
+// Recent happenings in a group, newest first: members joining, challenges
+// starting and check-ins on challenge habits. Members who do not share
+// their activity are left out, except for `viewerId`.
+async function feed(pool, groupId, viewerId, limit = FEED_LIMIT) {
+  const result = await pool.query(
+    `SELECT a.kind, a.at, a.user_id, a.challenge_id, a.challenge_name, a.date, u.name, u.picture
+     FROM (
+       SELECT 'joined' as kind, joined_at as at, user_id, NULL::integer as challenge_id,
+              NULL::text as challenge_name, NULL::text as date
+       FROM group_members
+       WHERE group_id = $1
+       UNION ALL
+       SELECT 'challenge', created_at, created_by, id, name, start_date::text
+       FROM challenges
+       WHERE group_id = $1
+       UNION ALL
+       SELECT 'checkin', c.created_at, h.user_id, ch.id, ch.name, c.completed_date::text
+       FROM completions c
+       JOIN habits h ON h.id = c.habit_id
+       JOIN challenges ch ON ch.id = h.challenge_id
+       WHERE ch.group_id = $1 AND c.created_at IS NOT NULL
+     ) a
+     JOIN group_members m ON m.group_id = $1 AND m.user_id = a.user_id
+     JOIN users u ON u.id = a.user_id
+     WHERE m.share_activity OR a.user_id = $2
+     ORDER BY a.at DESC
+     LIMIT $3`,
+    [groupId, viewerId, limit]
+  );
+  return result.rows.map(row => ({
+    kind: row.kind,
+    at: row.at,
+    userId: row.user_id,
+    name: row.name,
+    picture: row.picture,
+    challengeId: row.challenge_id,
+    challengeName: row.challenge_name,
+    date: row.date
+  }));
+}
+
+// Everything on a group's page as `viewerId` may see it, or null if they
+// are not a member. `today` is the viewer's, for telling which challenges
+// have ended.
+async function loadGroup(pool, { groupId, viewerId, today }) {
+  const me = await membership(pool, groupId, viewerId);
+  if (!me) return null;
+
+  const group = await pool.query('SELECT * FROM habit_groups WHERE id = $1', [groupId]);
+  const members = await pool.query(
+    `SELECT u.id, u.name, u.picture, m.role, m.joined_at
+     FROM group_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.group_id = $1
+     ORDER BY m.role = 'owner' DESC, m.joined_at`,
+    [groupId]
+  );
+  // Invited addresses belong to people outside the group: the owner sees
+  // them all, other members only the ones they sent
+  const invites = await pool.query(
+    `SELECT id, email, created_at FROM group_invites
+     WHERE group_id = $1 AND ($3 OR invited_by = $2)
+     ORDER BY created_at`,
+    [groupId, viewerId, me.role === 'owner']
+  );
+  const challengeRows = await pool.query(
+    `SELECT id, group_id, name, description, schedule_type, schedule_days, schedule_times, schedule_interval,
+            target, unit, start_date::text as start_date, end_date::text as end_date, created_by, created_at
+     FROM challenges
+     WHERE group_id = $1
+     ORDER BY start_date DESC, id DESC`,
+    [groupId]
+  );
+
+  const challenges = [];
+  for (const row of challengeRows.rows) {
+    challenges.push({
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      scheduleLabel: schedule.describeSchedule(schedule.fromRow(row)),
+      streakUnit: schedule.streakUnit(schedule.fromRow(row)),
+      target: row.target,
+      unit: row.unit,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      createdBy: row.created_by,
+      upcoming: row.start_date > today,
+      ended: row.end_date !== null && row.end_date < today,
+      ...await leaderboard(pool, row, viewerId)
+    });
+  }
+
+  return {
+    group: group.rows[0],
+    me,
+    members: members.rows,
+    invites: invites.rows,
+    challenges,
+    feed: await feed(pool, groupId, viewerId)
+  };
+}
+
+module.exports = {
+  parseGroupInput,
+  parseChallengeDates,
+  challengeDefinition,
+  listGroups,
+  listInvites,
+  membership,
+  loadChallenge,
+  loadGroup
+};
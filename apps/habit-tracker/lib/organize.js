@@ -0,0 +1,53 @@
+// Organising habits: tags to group and filter them by, and the optional
+// note a user can leave on a day's check-in.
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_NOTE_LENGTH = 500;
+
+// Read tags from a comma-separated form field or a JSON list. Tags that
+// differ only in case are the same tag; the first spelling wins.
+// Returns { tags } or { error }.
+function parseTags(input) {
+  if (input === undefined || input === null || input === '') {
+    return { tags: [] };
+  }
+
+  const raw = Array.isArray(input) ? input : String(input).split(',');
+  if (raw.some(tag => typeof tag !== 'string')) {
+    return { error: 'Tags must be text' };
+  }
+
+  const tags = [];
+  for (const tag of raw.map(t => t.trim().replace(/\s+/g, ' ')).filter(Boolean)) {
+    if (tag.length > MAX_TAG_LENGTH || tag.includes(',')) {
+      return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters, without commas` };
+    }
+    if (!tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  }
+
+  if (tags.length > MAX_TAGS) {
+    return { error: `A habit can have at most ${MAX_TAGS} tags` };
+  }
+  return { tags };
+}
+
+// Read a check-in note; an empty one clears it. Returns { note } or { error }.
+function parseNote(input) {
+  if (input === undefined || input === null) {
+    return { note: null };
+  }
+  if (typeof input !== 'string') {
+    return { error: 'Note must be text' };
+  }
+
+  const note = input.trim();
+  if (note.length > MAX_NOTE_LENGTH) {
+    return { error: `Note too long (max ${MAX_NOTE_LENGTH} characters)` };
+  }
+  return { note: note || null };
+}
+
+module.exports = { MAX_TAGS, MAX_TAG_LENGTH, MAX_NOTE_LENGTH, parseTags, parseNote };
@@ -0,0 +1,55 @@
+// Quantitative habits ("drink 8 glasses") have a daily target and a unit.
+// Amounts logged on a day add up, and the day only counts as completed once
+// they reach the target. Habits without a target are plain yes/no habits.
+
+const MAX_AMOUNT = 1000000;
+
+function parseNumber(value) {
+  const number = Number(String(value).replace(',', '.'));
+  return Number.isFinite(number) && number > 0 && number <= MAX_AMOUNT ? number : null;
+}
+
+// Read the target and unit from form fields or JSON.
+// Returns { target, unit } (both null for yes/no habits) or { error }.
+function parseTarget(input = {}) {
+  const rawTarget = input.habitTarget === undefined ? '' : String(input.habitTarget).trim();
+  if (rawTarget === '') {
+    return { target: null, unit: null };
+  }
+
+  const target = parseNumber(rawTarget);
+  if (target === null) {
+    return { error: `Target must be a number between 0 and ${MAX_AMOUNT}` };
+  }
+
+  const unit = String(input.habitUnit || '').trim();
+  if (unit.length > 20) {
+    return { error: 'Unit too long (max 20 characters)' };
+  }
+
+  return { target, unit: unit || null };
+}
+
+// A logged amount, or null if it is not a positive number
+function parseAmount(value) {
+  return value === undefined || value === null || value === '' ? null : parseNumber(value);
+}
+
+// "2.5 km", "8 glasses", "3"
+function formatAmount(amount, unit) {
+  const rounded = Math.round(Number(amount) * 100) / 100;
+  return unit ? `${rounded} ${unit}` : String(rounded);
+}
+
+// Amounts are floats, so 0.7 + 0.2 has to be allowed to meet a 0.9 target
+function isComplete(total, target) {
+  return Number(total) >= target - 1e-9;
+}
+
+// Share of the target reached, between 0 and 1
+function progress(amount, target) {
+  if (!target) return 0;
+  return isComplete(amount, target) ? 1 : Number(amount) / target;
+}
+
+module.exports = { MAX_AMOUNT, parseTarget, parseAmount, formatAmount, isComplete, progress };
@@ -0,0 +1,217 @@
+// Server-side reminder delivery, so reminders arrive without a tab open.
+// Every minute each replica looks for habits whose reminder time has passed
+// on their owner's clock and sends a Web Push notification to each of the
+// owner's subscribed devices; users who opted in also get one email digest
+// a day. Each delivery is claimed in reminder_deliveries before it is sent,
+// so with several replicas running a reminder still goes out at most once
+// per day.
+
+const webpush = require('web-push');
+const nodemailer = require('nodemailer');
+const schedule = require('./schedule');
+const timezone = require('./timezone');
+
+const TICK_MS = 60 * 1000;
+const CLEANUP_MS = 60 * 60 * 1000;
+
+function pushConfigured() {
+  return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+}
+
+function emailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function pushPublicKey() {
+  return pushConfigured() ? process.env.VAPID_PUBLIC_KEY : null;
+}
+
+let transport = null;
+
+function mailer() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+// Claim a delivery for the day; null if this or another replica already has
+async function claim(pool, userId, habitId, kind, date) {
+  const result = await pool.query(
+    `INSERT INTO reminder_deliveries (user_id, habit_id, kind, local_date)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [userId, habitId, kind, date]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+// Give a claim back after a failed send so the next tick retries it
+async function release(pool, claimId) {
+  await pool.query('DELETE FROM reminder_deliveries WHERE id = $1', [claimId]);
+}
+
+// Active habits that may need a reminder, with their owner and the past
+// year of check-ins to evaluate the schedule against
+async function loadCandidates(pool) {
+  const result = await pool.query(`
+    SELECT h.id, h.user_id, h.name, h.created_at, h.reminder_time::text as reminder_time,
+           h.schedule_type, h.schedule_days, h.schedule_times, h.schedule_interval,
+           u.email, u.name as user_name, u.timezone, u.email_digest, u.digest_time::text as digest_time,
+           EXISTS (SELECT 1 FROM push_subscriptions p WHERE p.user_id = u.id) as has_push,
+           ARRAY(
+             SELECT completed_date::text FROM completions
+             WHERE habit_id = h.id AND completed_date > CURRENT_DATE - 367
+           ) as completions
+    FROM habits h
+    JOIN users u ON u.id = h.user_id
+    WHERE h.archived_at IS NULL
+    AND ((h.reminder_time IS NOT NULL AND EXISTS (SELECT 1 FROM push_subscriptions p WHERE p.user_id = u.id))
+         OR u.email_digest)
+  `);
+  return result.rows;
+}
+
+async function sendPush(pool, habit, date) {
+  const claimId = await claim(pool, habit.user_id, habit.id, 'push', date);
+  if (!claimId) return;
+
+  const subscriptions = await pool.query(
+    'SELECT id, endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = $1',
+    [habit.user_id]
+  );
+  const payload = JSON.stringify({
+    title: '🎯 Habit Reminder',
+    body: `Time to complete: ${habit.name}`,
+    tag: `habit-${habit.id}`,
+    url: '/'
+  });
+
+  let delivered = 0;
+  let failed = 0;
+  for (const sub of subscriptions.rows) {
+    try {
+      await webpush.sendNotification(
+        { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
+        payload,
+        { TTL: 60 * 60 }
+      );
+      delivered++;
+    } catch (err) {
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        // The browser dropped this subscription
+        await pool.query('DELETE FROM push_subscriptions WHERE id = $1', [sub.id]);
+      } else {
+        failed++;
+        console.error('Error sending push notification:', err);
+      }
+    }
+  }
+
+  if (delivered === 0 && failed > 0) {
+    await release(pool, claimId);
+  }
+}
+
+async function sendDigest(pool, user, date, habits) {
+  const claimId = await claim(pool, user.id, null, 'digest', date);
+  if (!claimId) return;
+
+  const lines = habits.map(h => `• ${h.name}${h.reminder_time ? ` (${h.reminder_time.slice(0, 5)})` : ''}`);
+  try {
+    await mailer().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: user.email,
+      subject: `🎯 ${habits.length} habit${habits.length === 1 ? '' : 's'} to do today`,
+      text: `Hi ${user.name || 'there'},\n\nStill to do today:\n${lines.join('\n')}\n\nKeep the streaks going!\n`
+    });
+  } catch (err) {
+    console.error('Error sending digest email:', err);
+    await release(pool, claimId);
+  }
+}
+
+async function deliver(pool, now = new Date()) {
+  const digests = new Map();
+
+  for (const habit of await loadCandidates(pool)) {
+    const today = timezone.localDate(habit.timezone, now);
+    const currentTime = timezone.localTime(habit.timezone, now);
+    if (habit.completions.includes(today)) continue;
+
+    const progress = schedule.evaluate(
+      schedule.fromRow(habit),
+      habit.completions,
+      timezone.localDate(habit.timezone, habit.created_at),
+      today
+    );
+    if (!progress.dueToday) continue;
+
+    if (pushConfigured() && habit.has_push && habit.reminder_time && habit.reminder_time.slice(0, 5) <= currentTime) {
+      await sendPush(pool, habit, today);
+    }
+
+    if (emailConfigured() && habit.email_digest && habit.digest_time.slice(0, 5) <= currentTime) {
+      if (!digests.has(habit.user_id)) {
+        digests.set(habit.user_id, {
+          user: { id: habit.user_id, email: habit.email, name: habit.user_name },
+          date: today,
+          habits: []
+        });
+      }
+      digests.get(habit.user_id).habits.push(habit);
+    }
+  }
+
+  for (const { user, date, habits } of digests.values()) {
+    await sendDigest(pool, user, date, habits);
+  }
+}
+
+// Start delivering reminders every minute. Returns a function that stops it.
+function startReminderScheduler(pool) {
+  if (!pushConfigured() && !emailConfigured()) {
+    console.log('🔕 Reminder delivery off (set VAPID keys or SMTP_HOST to enable)');
+    return () => {};
+  }
+
+  if (pushConfigured()) {
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || 'mailto:admin@example.com',
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+  }
+
+  let running = false;
+  let lastCleanup = 0;
+
+  const timer = setInterval(async () => {
+    // A slow tick must not overlap the next one
+    if (running) return;
+    running = true;
+    try {
+      await deliver(pool);
+      if (Date.now() - lastCleanup > CLEANUP_MS) {
+        await pool.query("DELETE FROM reminder_deliveries WHERE local_date < CURRENT_DATE - 30");
+        lastCleanup = Date.now();
+      }
+    } catch (err) {
+      console.error('Error delivering reminders:', err);
+    } finally {
+      running = false;
+    }
+  }, TICK_MS);
+  timer.unref();
+
+  console.log(`🔔 Reminder delivery on (push: ${pushConfigured() ? 'yes' : 'no'}, email: ${emailConfigured() ? 'yes' : 'no'})`);
+  return () => clearInterval(timer);
+}
+
+module.exports = { pushConfigured, emailConfigured, pushPublicKey, startReminderScheduler, deliver };
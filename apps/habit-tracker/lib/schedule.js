@@ -0,0 +1,202 @@
+// Habit schedules. Every schedule splits the calendar into periods that each
+// need a number of check-ins:
+//   daily     every day, once
+//   weekdays  each of the chosen weekdays, once; other days are off days
+//   weekly    each Monday-Sunday week, `times` check-ins
+//   monthly   each calendar month, `times` check-ins
+//   interval  each block of `interval` days from the habit's start, once
+// Dates are 'YYYY-MM-DD' strings; the arithmetic is done on day numbers so
+// that daylight saving changes cannot shift a day.
+
+const SCHEDULE_TYPES = ['daily', 'weekdays', 'weekly', 'monthly', 'interval'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDay(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function fromDay(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+// 0 = Sunday, like Date#getDay
+function weekdayOf(dayNumber) {
+  return (dayNumber + 4) % 7; // 1970-01-01 was a Thursday
+}
+
+// Read a schedule from form fields or JSON, e.g.
+// { scheduleType: 'weekdays', scheduleDays: ['1', '3', '5'] }.
+// Returns { schedule } or { error }.
+function parseSchedule(input = {}) {
+  const type = input.scheduleType || 'daily';
+  if (!SCHEDULE_TYPES.includes(type)) {
+    return { error: 'Unknown schedule type' };
+  }
+
+  const schedule = { type, days: null, times: null, interval: null };
+
+  if (type === 'weekdays') {
+    const raw = [].concat(input.scheduleDays || []);
+    const days = [...new Set(raw.map(Number))].filter(d => Number.isInteger(d) && d >= 0 && d <= 6).sort();
+    if (days.length === 0 || days.length !== new Set(raw.map(String)).size) {
+      return { error: 'Pick at least one valid weekday' };
+    }
+    schedule.days = days;
+  }
+
+  if (type === 'weekly' || type === 'monthly') {
+    const times = Number(input.scheduleTimes);
+    const max = type === 'weekly' ? 7 : 31;
+    if (!Number.isInteger(times) || times < 1 || times > max) {
+      return { error: `Times per ${type === 'weekly' ? 'week' : 'month'} must be between 1 and ${max}` };
+    }
+    schedule.times = times;
+  }
+
+  if (type === 'interval') {
+    const interval = Number(input.scheduleInterval);
+    if (!Number.isInteger(interval) || interval < 2 || interval > 365) {
+      return { error: 'Interval must be between 2 and 365 days' };
+    }
+    schedule.interval = interval;
+  }
+
+  return { schedule };
+}
+
+// Schedule of a habits row
+function fromRow(row) {
+  return {
+    type: row.schedule_type || 'daily',
+    days: row.schedule_days || null,
+    times: row.schedule_times || null,
+    interval: row.schedule_interval || null
+  };
+}
+
+function describeSchedule(schedule) {
+  switch (schedule.type) {
+    case 'weekdays':
+      return schedule.days.map(d => WEEKDAY_NAMES[d]).join(', ');
+    case 'weekly':
+      return `${schedule.times}× per week`;
+    case 'monthly':
+      return `${schedule.times}× per month`;
+    case 'interval':
+      return `Every ${schedule.interval} days`;
+    default:
+      return 'Every day';
+  }
+}
+
+// What a streak is counted in
+function streakUnit(schedule) {
+  if (schedule.type === 'weekly') return 'week';
+  if (schedule.type === 'monthly') return 'month';
+  if (schedule.type === 'interval') return 'check-in';
+  return 'day';
+}
+
+// The period containing `day` as { start, end, target } in day numbers, or
+// null on an off day. `anchor` is the day the habit started.
+function periodOf(schedule, day, anchor) {
+  switch (schedule.type) {
+    case 'weekdays':
+      return schedule.days.includes(weekdayOf(day)) ? { start: day, end: day, target: 1 } : null;
+    case 'weekly': {
+      const start = day - ((weekdayOf(day) + 6) % 7);
+      return { start, end: start + 6, target: schedule.times };
+    }
+    case 'monthly': {
+      const [year, month] = fromDay(day).split('-').map(Number);
+      const start = Date.UTC(year, month - 1, 1) / DAY_MS;
+      const end = Date.UTC(year, month, 1) / DAY_MS - 1;
+      return { start, end, target: schedule.times };
+    }
+    case 'interval': {
+      const start = anchor + Math.floor((day - anchor) / schedule.interval) * schedule.interval;
+      return { start, end: start + schedule.interval - 1, target: 1 };
+    }
+    default:
+      return { start: day, end: day, target: 1 };
+  }
+}
+
+// The latest period that starts on or before `day`
+function periodAtOrBefore(schedule, day, anchor) {
+  for (let d = day; d > day - 7; d--) {
+    const period = periodOf(schedule, d, anchor);
+    if (period) return period;
+  }
+  return null;
+}
+
+// Measure a habit against its schedule as of `today`:
+//   streak        consecutive periods met, not counting the current one
+//                 until it is met, so an unfinished period never breaks it
+//   rate          percentage of periods met since the habit started
+//   dueToday      whether the habit still asks for a check-in today
+//   done, target  check-ins so far in the current period and how many it needs
+// `completions` are the completed dates; `startDate` is when the habit began.
+// Periods that began before the habit did only count once they are met.
+function evaluate(schedule, completions, startDate, today) {
+  const todayDay = toDay(today);
+  const anchor = Math.min(toDay(startDate), todayDay);
+  const done = new Set(completions.map(toDay));
+  const countIn = (period) => {
+    let count = 0;
+    for (let d = period.start; d <= period.end; d++) {
+      if (done.has(d)) count++;
+    }
+    return count;
+  };
+
+  const todayPeriod = periodOf(schedule, todayDay, anchor);
+  const current = todayPeriod || periodAtOrBefore(schedule, todayDay, anchor);
+  const currentCount = todayPeriod ? countIn(todayPeriod) : 0;
+  const checkedToday = done.has(todayDay);
+
+  let streak = 0;
+  let met = 0;
+  let counted = 0;
+  let streaking = true;
+
+  for (let period = current; period && period.end >= anchor; period = periodAtOrBefore(schedule, period.start - 1, anchor)) {
+    const satisfied = countIn(period) >= period.target;
+    const inProgress = period.end >= todayDay;
+    const beforeStart = period.start < anchor;
+
+    if (satisfied) {
+      met++;
+      counted++;
+      if (streaking) streak++;
+    } else if (inProgress || beforeStart) {
+      // Still time left, or the habit did not exist for all of it
+    } else {
+      counted++;
+      streaking = false;
+    }
+  }
+
+  return {
+    streak,
+    rate: counted > 0 ? Math.round((met / counted) * 100) : null,
+    dueToday: Boolean(todayPeriod) && (checkedToday || currentCount < todayPeriod.target),
+    done: todayPeriod ? currentCount : 0,
+    target: todayPeriod ? todayPeriod.target : 0
+  };
+}
+
+module.exports = {
+  SCHEDULE_TYPES,
+  WEEKDAY_NAMES,
+  parseSchedule,
+  fromRow,
+  describeSchedule,
+  streakUnit,
+  evaluate,
+  toDay,
+  fromDay
+};
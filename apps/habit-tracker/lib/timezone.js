@@ -0,0 +1,65 @@
+// Each user's dates and reminder times are read on their own wall clock, not
+// the server's (our pods run in UTC). Timezones are IANA names such as
+// 'America/New_York'; Intl does the offset and daylight saving arithmetic.
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 64) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// The user's timezone, or the default when they have none (or a bad one)
+function resolve(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+function partsOf(timeZone, date) {
+  const parts = {};
+  for (const { type, value } of formatterFor(resolve(timeZone)).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+// 'YYYY-MM-DD' of `date` in `timeZone`
+function localDate(timeZone, date = new Date()) {
+  const { year, month, day } = partsOf(timeZone, date);
+  return `${year}-${month}-${day}`;
+}
+
+// 'HH:MM' of `date` in `timeZone`
+function localTime(timeZone, date = new Date()) {
+  const { hour, minute } = partsOf(timeZone, date);
+  return `${hour}:${minute}`;
+}
+
+// Every timezone the runtime knows, for the settings picker
+function listTimeZones() {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.includes(DEFAULT_TIME_ZONE) ? zones : [DEFAULT_TIME_ZONE, ...zones];
+}
+
+module.exports = { DEFAULT_TIME_ZONE, isValidTimeZone, resolve, localDate, localTime, listTimeZones };
@@ -0,0 +1,100 @@
+// Personal access tokens for the /api/v1 routes. Users create them in the
+// settings, each with a set of scopes and an optional expiry, and can
+// revoke them at any time. A token is shown once when it is created; only
+// its SHA-256 hash is stored.
+
+const crypto = require('crypto');
+
+const SCOPES = {
+  'habits:read': 'Read habits, history and stats',
+  'habits:write': 'Create, edit and delete habits',
+  'checkins:write': 'Check in, undo and log amounts'
+};
+
+const TOKEN_PREFIX = 'hbt_';
+const MAX_EXPIRY_DAYS = 365;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A new token, its hash and the start of it that is shown to tell tokens apart
+function generateToken() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token), hint: token.slice(0, TOKEN_PREFIX.length + 6) };
+}
+
+// Read a new token's name, scopes and expiry from JSON.
+// Returns { name, scopes, expiresAt } or { error }.
+function parseTokenRequest(input = {}) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (name.length === 0 || name.length > 50) {
+    return { error: 'Token name must be 1 to 50 characters' };
+  }
+
+  const scopes = [...new Set([].concat(input.scopes || []))];
+  if (scopes.length === 0 || scopes.some(scope => !SCOPES[scope])) {
+    return { error: `Scopes must be some of: ${Object.keys(SCOPES).join(', ')}` };
+  }
+
+  let expiresAt = null;
+  if (input.expiresInDays !== undefined && input.expiresInDays !== null && input.expiresInDays !== '') {
+    const days = Number(input.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return { error: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  return { name, scopes, expiresAt };
+}
+
+// Express middleware: authenticate the request by its `Authorization: Bearer`
+// token, setting req.user and req.tokenScopes
+function authenticate(pool) {
+  return async (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (!match || !match[1].startsWith(TOKEN_PREFIX)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Missing personal access token' });
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT t.id as token_id, t.scopes as token_scopes, u.*
+         FROM api_tokens t
+         JOIN users u ON u.id = t.user_id
+         WHERE t.token_hash = $1
+         AND t.revoked_at IS NULL
+         AND (t.expires_at IS NULL OR t.expires_at > NOW())`,
+        [hashToken(match[1])]
+      );
+
+      if (result.rows.length === 0) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'Invalid, expired or revoked token' });
+      }
+
+      const { token_id: tokenId, token_scopes: scopes, ...user } = result.rows[0];
+      await pool.query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = $1', [tokenId]);
+      req.user = user;
+      req.tokenScopes = scopes;
+      next();
+    } catch (err) {
+      console.error('Error checking access token:', err);
+      res.status(500).json({ error: 'Database error' });
+    }
+  };
+}
+
+// Express middleware: only let tokens with `scope` through
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.tokenScopes || !req.tokenScopes.includes(scope)) {
+      return res.status(403).json({ error: `Token lacks the ${scope} scope` });
+    }
+    next();
+  };
+}
+
+module.exports = { SCOPES, generateToken, hashToken, parseTokenRequest, authenticate, requireScope };
@@ -0,0 +1,23 @@
+// Shows the reminders the server pushes (see lib/reminders.js)
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+    event.waitUntil(
+        self.registration.showNotification(data.title || '🎯 Habit Reminder', {
+            body: data.body || '',
+            tag: data.tag,
+            data: { url: data.url || '/' }
+        })
+    );
+});
+
+// Focus an open tab, or open one, when a notification is clicked
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data && event.notification.data.url ? event.notification.data.url : '/';
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(w => new URL(w.url).pathname === url);
+            return open ? open.focus() : self.clients.openWindow(url);
+        })
+    );
+});
@@ -0,0 +1,120 @@
+// Sign-in identities: each provider account (a Google or GitHub account, an
+// email address, a passkey) that signs in as a user. One user can link
+// several, and signing in with any of them signs in as that user.
+
+class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// The user an identity signs in as, creating both if it's new. A new
+// identity joins `linkTo` (the signed-in user adding it) or, when the
+// provider has verified the email, the user who already has that email;
+// otherwise it starts a new user.
+async function resolveIdentity(pool, { provider, providerId, email, emailVerified = false, name, picture }, linkTo = null) {
+  const existing = await pool.query(
+    `UPDATE user_identities SET last_used_at = NOW()
+     WHERE provider = $1 AND provider_id = $2
+     RETURNING user_id`,
+    [provider, providerId]
+  );
+
+  if (existing.rows.length > 0) {
+    const userId = existing.rows[0].user_id;
+    if (linkTo && linkTo.id !== userId) {
+      throw new AuthError('That sign-in is already linked to another account', 409);
+    }
+    // Keep the name and avatar up to date with the provider until the
+    // user sets their own
+    const user = await pool.query(
+      `UPDATE users SET name = COALESCE($2, name), picture = COALESCE($3, picture)
+       WHERE id = $1 AND profile_updated_at IS NULL
+       RETURNING *`,
+      [userId, name || null, picture || null]
+    );
+    if (user.rows.length > 0) return user.rows[0];
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    return result.rows[0];
+  }
+
+  let user = null;
+  if (linkTo) {
+    user = linkTo;
+  } else if (email && emailVerified) {
+    const result = await pool.query(
+      'SELECT * FROM users WHERE lower(email) = lower($1) ORDER BY id LIMIT 1',
+      [email]
+    );
+    user = result.rows[0] || null;
+  }
+
+  if (!user) {
+    if (!email) {
+      throw new AuthError('An email address is needed to create an account');
+    }
+    const result = await pool.query(
+      'INSERT INTO users (email, name, picture) VALUES ($1, $2, $3) RETURNING *',
+      [email, name || email.split('@')[0], picture || null]
+    );
+    user = result.rows[0];
+  }
+
+  const linked = await pool.query(
+    `INSERT INTO user_identities (user_id, provider, provider_id, email, last_used_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (provider, provider_id) DO NOTHING
+     RETURNING id`,
+    [user.id, provider, providerId, email || null]
+  );
+  if (linked.rows.length === 0) {
+    // Someone signed in with it at the same moment; go with theirs
+    return resolveIdentity(pool, { provider, providerId, email, emailVerified, name, picture }, linkTo);
+  }
+  return user;
+}
+
+async function listIdentities(pool, userId) {
+  const result = await pool.query(
+    `SELECT i.id, i.provider, i.email, i.created_at, i.last_used_at, p.name as passkey_name
+     FROM user_identities i
+     LEFT JOIN passkeys p ON p.identity_id = i.id
+     WHERE i.user_id = $1
+     ORDER BY i.created_at, i.id`,
+    [userId]
+  );
+  return result.rows.map((row) => ({
+    id: row.id,
+    provider: row.provider,
+    email: row.email,
+    name: row.passkey_name,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+  }));
+}
+
+// Remove one of a user's sign-ins; the last one stays so they can still
+// get back in
+async function unlinkIdentity(pool, userId, identityId) {
+  const result = await pool.query(
+    `DELETE FROM user_identities
+     WHERE id = $1 AND user_id = $2
+       AND (SELECT COUNT(*) FROM user_identities WHERE user_id = $2) > 1
+     RETURNING id`,
+    [identityId, userId]
+  );
+  if (result.rows.length > 0) return;
+
+  const owned = await pool.query(
+    'SELECT 1 FROM user_identities WHERE id = $1 AND user_id = $2',
+    [identityId, userId]
+  );
+  if (owned.rows.length === 0) {
+    throw new AuthError('Sign-in not found', 404);
+  }
+  throw new AuthError("You can't remove your only way to sign in");
+}
+
+module.exports = { AuthError, resolveIdentity, listIdentities, unlinkIdentity };
@@ -1,7 +1,80 @@
+const { AsyncResource } = require('async_hooks');
+const express = require('express');
+const session = require('express-session');
+const pgSession = require('connect-pg-simple')(session);
 const passport = require('passport');
-const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const { sessionSecret } = require('@my-platform/security');
+const identities = require('./identities');
+const { trackDevice, listSessions, endSession, endOtherSessions } = require('./sessions');
+const { AuthError, resolveIdentity, unlinkIdentity } = identities;
 
-function setupAuth(pool) {
+// Every app shares one session: the same cookie, secret and store. Set
+// SESSION_COOKIE_DOMAIN (e.g. .emirpalace.ca) so the cookie reaches every
+// subdomain; locally the apps share it anyway, as cookies ignore the port.
+// The name differs from express-session's default so old per-app cookies
+// can't shadow it.
+const SESSION_COOKIE = 'platform.sid';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// The landing page, which has the account page every app links to
+const PLATFORM_URL = (process.env.PLATFORM_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+function cookieScope() {
+  return { domain: process.env.SESSION_COOKIE_DOMAIN || undefined, path: '/' };
+}
+
+function createSession(pool) {
+  const middleware = session({
+    store: new pgSession({
+      pool: pool,
+      tableName: 'session',
+      createTableIfMissing: true
+    }),
+    name: SESSION_COOKIE,
+    secret: sessionSecret(),
+    resave: false,
+    saveUninitialized: false,
+    proxy: true, // Trust X-Forwarded-Proto from Cloudflare Tunnel
+    cookie: {
+      ...cookieScope(),
+      secure: 'auto', // Secure whenever the request came in over HTTPS
+      httpOnly: true,
+      sameSite: 'lax',
+      maxAge: SESSION_MAX_AGE
+    }
+  });
+
+  // The store answers in a pooled connection's callback, so carry the
+  // request's async context (and its request id in logs) past it
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+// Ways to sign in, by name. Each strategy has a `label`, says whether it is
+// `enabled()` in this environment, and may `setup(passport, context)` a
+// Passport strategy and add `routes(router, helpers)`; one with `oauth`
+// options gets /auth/<name> and /auth/<name>/callback. Apps can add their
+// own with registerStrategy() before calling setupAuth().
+const strategies = new Map();
+
+function registerStrategy(strategy) {
+  strategies.set(strategy.name, strategy);
+}
+
+[
+  require('./strategies/google'),
+  require('./strategies/github'),
+  require('./strategies/email'),
+  require('./strategies/passkey'),
+  require('./strategies/dev')
+].forEach(registerStrategy);
+
+// What setupAuth() set up, for authRoutes()
+const context = { pool: null, baseURL: null, enabled: [] };
+
+// Set up Passport with every enabled strategy. `baseURL` is where the app
+// is reached when PUBLIC_URL is not set, e.g. its local dev address; OAuth
+// callbacks and emailed links point there.
+function setupAuth(pool, { baseURL = 'http://localhost:3000' } = {}) {
   // Passport serialization
   passport.serializeUser((user, done) => {
     done(null, user.id);
@@ -16,37 +89,136 @@ function setupAuth(pool) {
     }
   });
 
-  // Google OAuth Strategy
-  passport.use(new GoogleStrategy({
-    clientID: process.env.GOOGLE_CLIENT_ID,
-    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-    callbackURL: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:3000/auth/google/callback'
-  },
-  async (accessToken, refreshToken, profile, done) => {
+  context.pool = pool;
+  context.baseURL = (process.env.PUBLIC_URL || baseURL).replace(/\/+$/, '');
+  context.enabled = [...strategies.values()].filter((strategy) => strategy.enabled());
+  context.enabled.forEach((strategy) => {
+    if (strategy.setup) strategy.setup(passport, context);
+  });
+
+  return passport;
+}
+
+// Only paths on the same app are followed after sign-in, so the links
+// can't be used to send people elsewhere
+function safeReturnTo(url) {
+  return typeof url === 'string' && /^\/(?![\/\\])/.test(url) ? url : null;
+}
+
+// The user's sign-ins, each labelled with its strategy's name for people
+async function listIdentities(pool, userId) {
+  const list = await identities.listIdentities(pool, userId);
+  return list.map((identity) => ({
+    ...identity,
+    label: strategies.has(identity.provider) ? strategies.get(identity.provider).label : identity.provider
+  }));
+}
+
+// A message for the next page, e.g. why signing in failed
+function flash(req, type, text) {
+  req.session.authMessage = { type, text };
+}
+
+// Where to go after signing in: the page saved before, or home
+function returnTo(req) {
+  const url = safeReturnTo(req.session.returnTo) || '/';
+  delete req.session.returnTo;
+  return url;
+}
+
+function signIn(req, res, next, user) {
+  req.login(user, { keepSessionInfo: true }, (err) => {
+    if (err) return next(err);
+    res.redirect(returnTo(req));
+  });
+}
+
+// Sign-in, linking and sign-out routes for every enabled strategy, the
+// same in every app. `loginPath` is the app's login page, where failed
+// sign-ins go back to. Pass ?returnTo=/path to /auth/<name> (or set
+// req.session.returnTo) to come back to a page; a signed-in user who signs
+// in another way links it to their account.
+function authRoutes(passport, { loginPath = '/login', logoutRedirect = '/' } = {}) {
+  const router = express.Router();
+
+  // For login pages: the ways to sign in, and any message from the last try
+  router.use((req, res, next) => {
+    trackDevice(req);
+    res.locals.accountUrl = `${PLATFORM_URL}/account`;
+    res.locals.authMethods = context.enabled.map(({ name, label }) => ({ name, label }));
+    res.locals.authMessage = null;
+    if (req.session && req.session.messages && req.session.messages.length > 0) {
+      res.locals.authMessage = { type: 'error', text: req.session.messages.pop() };
+      delete req.session.messages;
+    } else if (req.session && req.session.authMessage) {
+      res.locals.authMessage = req.session.authMessage;
+      delete req.session.authMessage;
+    }
+    next();
+  });
+
+  const helpers = { pool: context.pool, baseURL: context.baseURL, loginPath, flash, returnTo, signIn, safeReturnTo };
+
+  context.enabled.forEach((strategy) => {
+    if (strategy.oauth) {
+      router.get(`/auth/${strategy.name}`, (req, res, next) => {
+        const url = safeReturnTo(req.query.returnTo);
+        if (url) req.session.returnTo = url;
+        passport.authenticate(strategy.name, strategy.oauth)(req, res, next);
+      });
+
+      router.get(`/auth/${strategy.name}/callback`, (req, res, next) => {
+        // A failed link goes back to the page it started from
+        const failureRedirect = req.user ? (safeReturnTo(req.session.returnTo) || '/') : loginPath;
+        passport.authenticate(strategy.name, { failureRedirect, failureMessage: true, keepSessionInfo: true })(req, res, next);
+      }, (req, res) => {
+        res.redirect(returnTo(req));
+      });
+    }
+    if (strategy.routes) strategy.routes(router, helpers);
+  });
+
+  // The signed-in user's ways to sign in
+  router.get('/auth/identities', requireAuth, async (req, res) => {
     try {
-      // Check if user exists
-      let result = await pool.query(
-        'SELECT * FROM users WHERE google_id = $1',
-        [profile.id]
-      );
-
-      if (result.rows.length > 0) {
-        // User exists, return user
-        return done(null, result.rows[0]);
-      } else {
-        // Create new user
-        result = await pool.query(
-          'INSERT INTO users (google_id, email, name) VALUES ($1, $2, $3) RETURNING *',
-          [profile.id, profile.emails[0].value, profile.displayName]
-        );
-        return done(null, result.rows[0]);
-      }
+      res.json(await listIdentities(context.pool, req.user.id));
     } catch (err) {
-      return done(err, null);
+      console.error('Error loading sign-ins:', err);
+      res.status(500).json({ error: 'Error loading sign-ins' });
     }
-  }));
+  });
 
-  return passport;
+  router.post('/auth/identities/:id/unlink', requireAuth, async (req, res) => {
+    try {
+      await unlinkIdentity(context.pool, req.user.id, parseInt(req.params.id, 10));
+      flash(req, 'info', 'Sign-in removed');
+    } catch (err) {
+      if (!(err instanceof AuthError)) {
+        console.error('Error removing sign-in:', err);
+        err = new AuthError('Error removing sign-in');
+      }
+      flash(req, 'error', err.message);
+    }
+    res.redirect(safeReturnTo(req.body.returnTo) || '/');
+  });
+
+  router.get('/logout', (req, res, next) => {
+    signOut(req, res, next, logoutRedirect);
+  });
+
+  return router;
+}
+
+// Ending the shared session signs the person out of every app
+function signOut(req, res, next, redirect) {
+  req.logout((err) => {
+    if (err) return next(err);
+    req.session.destroy((err) => {
+      if (err) console.error('Error ending session:', err);
+      res.clearCookie(SESSION_COOKIE, cookieScope());
+      res.redirect(redirect);
+    });
+  });
 }
 
 function requireAuth(req, res, next) {
@@ -56,4 +228,21 @@ function requireAuth(req, res, next) {
   res.redirect('/login');
 }
 
-module.exports = { setupAuth, requireAuth };
+module.exports = {
+  SESSION_COOKIE,
+  PLATFORM_URL,
+  AuthError,
+  createSession,
+  registerStrategy,
+  setupAuth,
+  authRoutes,
+  flash,
+  signOut,
+  requireAuth,
+  resolveIdentity,
+  listIdentities,
+  unlinkIdentity,
+  listSessions,
+  endSession,
+  endOtherSessions
+};
@@ -0,0 +1,90 @@
+// Browser side of passkey sign-in, served at /auth/passkey.js. Exposes
+// window.platformPasskey with signIn() and register(name); both reject
+// with an Error whose message can be shown to the user.
+(function () {
+  function toBuffer(base64url) {
+    const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0)).buffer;
+  }
+
+  function toBase64url(buffer) {
+    let binary = '';
+    new Uint8Array(buffer).forEach((byte) => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function descriptors(list) {
+    return (list || []).map((credential) => ({ ...credential, id: toBuffer(credential.id) }));
+  }
+
+  async function post(url, body) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {})
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(data.error || 'Passkey request failed');
+    }
+    return data;
+  }
+
+  function credentialJSON(credential, response) {
+    return {
+      id: credential.id,
+      rawId: toBase64url(credential.rawId),
+      type: credential.type,
+      response,
+      clientExtensionResults: credential.getClientExtensionResults(),
+      authenticatorAttachment: credential.authenticatorAttachment || undefined
+    };
+  }
+
+  async function signIn() {
+    const options = await post('/auth/passkey/login/options');
+    const credential = await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: toBuffer(options.challenge),
+        allowCredentials: descriptors(options.allowCredentials)
+      }
+    });
+    const result = await post('/auth/passkey/login', {
+      response: credentialJSON(credential, {
+        clientDataJSON: toBase64url(credential.response.clientDataJSON),
+        authenticatorData: toBase64url(credential.response.authenticatorData),
+        signature: toBase64url(credential.response.signature),
+        userHandle: credential.response.userHandle ? toBase64url(credential.response.userHandle) : undefined
+      })
+    });
+    window.location.href = result.redirect;
+  }
+
+  async function register(name) {
+    const options = await post('/auth/passkey/register/options');
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: toBuffer(options.challenge),
+        user: { ...options.user, id: new TextEncoder().encode(options.user.id) },
+        excludeCredentials: descriptors(options.excludeCredentials)
+      }
+    });
+    await post('/auth/passkey/register', {
+      name,
+      response: credentialJSON(credential, {
+        clientDataJSON: toBase64url(credential.response.clientDataJSON),
+        attestationObject: toBase64url(credential.response.attestationObject),
+        transports: credential.response.getTransports ? credential.response.getTransports() : []
+      })
+    });
+  }
+
+  window.platformPasskey = {
+    supported: Boolean(window.PublicKeyCredential && navigator.credentials),
+    signIn,
+    register
+  };
+})();
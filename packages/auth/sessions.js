@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { clientIp } = require('@my-platform/security');
+const { AuthError } = require('./identities');
+
+// A user's signed-in sessions, from the shared session table. Sessions are
+// named by a hash of their id, as the id itself is what the cookie carries.
+const SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+function sessionKey(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
+// Remember what a signed-in session is used from, refreshing it at most
+// every few minutes so most requests don't rewrite the session
+function trackDevice(req) {
+  if (!req.user || !req.session) return;
+  const now = Date.now();
+  const ip = clientIp(req);
+  const device = req.session.device;
+  if (!device) {
+    req.session.device = { userAgent: req.get('User-Agent') || '', ip, signedInAt: now, lastSeenAt: now };
+  } else if (now - device.lastSeenAt > SEEN_INTERVAL_MS) {
+    device.lastSeenAt = now;
+    device.ip = ip;
+  }
+}
+
+// "Firefox on Windows" from a User-Agent header, good enough to tell
+// devices apart
+function describeDevice(userAgent) {
+  const ua = userAgent || '';
+  const browser = [
+    [/Edg\//, 'Edge'], [/OPR\//, 'Opera'], [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(ua));
+  const os = [
+    [/iPhone|iPad/, 'iOS'], [/Android/, 'Android'], [/Windows/, 'Windows'],
+    [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(ua));
+  if (!browser && !os) return 'Unknown device';
+  return [browser ? browser[1] : 'Browser', os ? `on ${os[1]}` : null].filter(Boolean).join(' ');
+}
+
+async function userSessions(pool, userId) {
+  const result = await pool.query(
+    `SELECT sid, sess, expire FROM session
+     WHERE sess->'passport'->>'user' = $1 AND expire > NOW()`,
+    [String(userId)]
+  );
+  return result.rows;
+}
+
+// Newest first, with the one making the request marked `current`
+async function listSessions(pool, userId, currentSid) {
+  const rows = await userSessions(pool, userId);
+  return rows
+    .map((row) => {
+      const sess = typeof row.sess === 'string' ? JSON.parse(row.sess) : row.sess;
+      const device = sess.device || {};
+      return {
+        key: sessionKey(row.sid),
+        current: row.sid === currentSid,
+        device: describeDevice(device.userAgent),
+        ip: device.ip || null,
+        signedInAt: device.signedInAt ? new Date(device.signedInAt) : null,
+        lastSeenAt: device.lastSeenAt ? new Date(device.lastSeenAt) : null,
+        expiresAt: row.expire
+      };
+    })
+    .sort((a, b) => (b.current - a.current) || ((b.lastSeenAt || 0) - (a.lastSeenAt || 0)));
+}
+
+// Sign one of the user's sessions out, wherever it is
+async function endSession(pool, userId, key) {
+  const rows = await userSessions(pool, userId);
+  const match = rows.find((row) => sessionKey(row.sid) === key);
+  if (!match) {
+    throw new AuthError('Session not found', 404);
+  }
+  await pool.query('DELETE FROM session WHERE sid = $1', [match.sid]);
+}
+
+async function endOtherSessions(pool, userId, currentSid) {
+  const result = await pool.query(
+    `DELETE FROM session WHERE sess->'passport'->>'user' = $1 AND sid <> $2`,
+    [String(userId), currentSid]
+  );
+  return result.rowCount;
+}
+
+module.exports = { trackDevice, describeDevice, listSessions, endSession, endOtherSessions };
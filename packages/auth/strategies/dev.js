@@ -0,0 +1,44 @@
+const { AuthError, resolveIdentity } = require('../identities');
+
+// Sign in as any email address with no checks, for working offline. Only
+// on with AUTH_DEV_LOGIN=true, and never in production.
+module.exports = {
+  name: 'dev',
+  label: 'Dev login',
+
+  enabled() {
+    if (process.env.AUTH_DEV_LOGIN !== 'true') return false;
+    if (process.env.NODE_ENV === 'production') {
+      console.warn('⚠️ AUTH_DEV_LOGIN is ignored in production');
+      return false;
+    }
+    return true;
+  },
+
+  setup() {
+    console.warn('⚠️ Dev login is on: anyone can sign in as any email address');
+  },
+
+  routes(router, { pool, loginPath, signIn, flash }) {
+    router.post('/auth/dev', async (req, res, next) => {
+      try {
+        const email = String(req.body.email || '').trim();
+        if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+          throw new AuthError('Enter an email address');
+        }
+        const user = await resolveIdentity(pool, {
+          provider: 'dev',
+          providerId: email.toLowerCase(),
+          email,
+          emailVerified: true,
+          name: String(req.body.name || '').trim() || null
+        }, req.user);
+        signIn(req, res, next, user);
+      } catch (err) {
+        if (!(err instanceof AuthError)) return next(err);
+        flash(req, 'error', err.message);
+        res.redirect(loginPath);
+      }
+    });
+  }
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { AuthError, resolveIdentity } = require('../identities');
+
+// Sign in with a link emailed to the address, valid once for 15 minutes.
+// Without SMTP_HOST the link is logged instead, which only development
+// allows.
+const LINK_TTL_MINUTES = 15;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let transport = null;
+
+function mailer() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseEmail(value) {
+  const email = String(value || '').trim();
+  if (email.length > 254 || !EMAIL_PATTERN.test(email)) {
+    throw new AuthError('Enter a valid email address');
+  }
+  return email;
+}
+
+async function sendLink(email, link, linking) {
+  const text = linking
+    ? `Open this link to add ${email} as a way to sign in to your account:\n\n${link}\n\nIt works once and expires in ${LINK_TTL_MINUTES} minutes. If you didn't ask for it, ignore this email.\n`
+    : `Open this link to sign in:\n\n${link}\n\nIt works once and expires in ${LINK_TTL_MINUTES} minutes. If you didn't ask for it, ignore this email.\n`;
+
+  if (!process.env.SMTP_HOST) {
+    console.log(`✉️ Sign-in link for ${email}: ${link}`);
+    return;
+  }
+  await mailer().sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: email,
+    subject: linking ? 'Confirm your email address' : 'Your sign-in link',
+    text
+  });
+}
+
+module.exports = {
+  name: 'email',
+  label: 'Email',
+
+  enabled() {
+    return Boolean(process.env.SMTP_HOST) || process.env.NODE_ENV !== 'production';
+  },
+
+  routes(router, { pool, baseURL, loginPath, signIn, flash, safeReturnTo }) {
+    // Email a sign-in link; a signed-in user gets one that adds the address
+    router.post('/auth/email', async (req, res) => {
+      const back = req.user ? (safeReturnTo(req.body.returnTo) || '/') : loginPath;
+      try {
+        const email = parseEmail(req.body.email);
+        const token = crypto.randomBytes(32).toString('base64url');
+        await pool.query("DELETE FROM login_tokens WHERE expires_at < NOW() - interval '1 day'");
+        await pool.query(
+          `INSERT INTO login_tokens (email, token_hash, link_user_id, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+          [email, hashToken(token), req.user ? req.user.id : null, LINK_TTL_MINUTES]
+        );
+        await sendLink(email, `${baseURL}/auth/email/verify?token=${token}`, Boolean(req.user));
+        flash(req, 'info', `We sent a link to ${email}. Open it to continue.`);
+      } catch (err) {
+        if (!(err instanceof AuthError)) {
+          console.error('Error sending sign-in link:', err);
+          err = new AuthError('Could not send the link, please try again');
+        }
+        flash(req, 'error', err.message);
+      }
+      res.redirect(back);
+    });
+
+    router.get('/auth/email/verify', async (req, res, next) => {
+      try {
+        const result = await pool.query(
+          `UPDATE login_tokens SET used_at = NOW()
+           WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+           RETURNING email, link_user_id`,
+          [hashToken(String(req.query.token || ''))]
+        );
+        const login = result.rows[0];
+        if (!login) {
+          throw new AuthError('That link has expired or was already used');
+        }
+        // A link to add an address only works where its requester is
+        // signed in, so nobody can be tricked into linking their email
+        // to someone else's account
+        if (login.link_user_id && (!req.user || req.user.id !== login.link_user_id)) {
+          throw new AuthError('Open the link in the browser where you asked for it');
+        }
+
+        const user = await resolveIdentity(pool, {
+          provider: 'email',
+          providerId: login.email.toLowerCase(),
+          email: login.email,
+          emailVerified: true
+        }, login.link_user_id ? req.user : null);
+        signIn(req, res, next, user);
+      } catch (err) {
+        if (!(err instanceof AuthError)) return next(err);
+        flash(req, 'error', err.message);
+        res.redirect(req.user ? '/' : loginPath);
+      }
+    });
+  }
+};
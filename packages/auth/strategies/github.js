@@ -0,0 +1,45 @@
+const GitHubStrategy = require('passport-github2').Strategy;
+const { AuthError, resolveIdentity } = require('../identities');
+
+// Sign in with GitHub. Accounts are keyed on the GitHub user id; the
+// email is the account's primary verified one.
+module.exports = {
+  name: 'github',
+  label: 'GitHub',
+  oauth: { scope: ['read:user', 'user:email'] },
+
+  enabled() {
+    return Boolean(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET);
+  },
+
+  setup(passport, { pool, baseURL }) {
+    passport.use(new GitHubStrategy({
+      clientID: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      callbackURL: process.env.GITHUB_CALLBACK_URL || `${baseURL}/auth/github/callback`,
+      allRawEmails: true, // with their verified flags
+      passReqToCallback: true
+    },
+    async (req, accessToken, refreshToken, profile, done) => {
+      try {
+        const emails = (profile.emails || []).filter((email) => email.verified);
+        const email = emails.find((e) => e.primary) || emails[0];
+        if (!email) {
+          throw new AuthError('Add a verified email address to your GitHub account first');
+        }
+        const user = await resolveIdentity(pool, {
+          provider: 'github',
+          providerId: String(profile.id),
+          email: email.value,
+          emailVerified: true,
+          name: profile.displayName || profile.username,
+          picture: profile.photos?.[0]?.value
+        }, req.user);
+        done(null, user);
+      } catch (err) {
+        if (err instanceof AuthError) return done(null, false, { message: err.message });
+        done(err);
+      }
+    }));
+  }
+};
@@ -0,0 +1,39 @@
+const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const { AuthError, resolveIdentity } = require('../identities');
+
+// Sign in with Google
+module.exports = {
+  name: 'google',
+  label: 'Google',
+  oauth: { scope: ['profile', 'email'] },
+
+  enabled() {
+    return Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+  },
+
+  setup(passport, { pool, baseURL }) {
+    passport.use(new GoogleStrategy({
+      clientID: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      callbackURL: process.env.GOOGLE_CALLBACK_URL || `${baseURL}/auth/google/callback`,
+      passReqToCallback: true
+    },
+    async (req, accessToken, refreshToken, profile, done) => {
+      try {
+        const email = profile.emails && profile.emails[0];
+        const user = await resolveIdentity(pool, {
+          provider: 'google',
+          providerId: profile.id,
+          email: email && email.value,
+          emailVerified: Boolean(email) && email.verified !== false,
+          name: profile.displayName,
+          picture: profile.photos?.[0]?.value
+        }, req.user);
+        done(null, user);
+      } catch (err) {
+        if (err instanceof AuthError) return done(null, false, { message: err.message });
+        done(err);
+      }
+    }));
+  }
+};
@@ -0,0 +1,172 @@
+const path = require('path');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL } = require('@simplewebauthn/server/helpers');
+const { AuthError, resolveIdentity } = require('../identities');
+
+// Passkeys (WebAuthn). A signed-in user adds one from their account, then
+// signs in with it without a password or a provider. Set WEBAUTHN_RP_ID to
+// the parent domain (e.g. emirpalace.ca) so a passkey works on every app;
+// it defaults to the app's own host. The browser side is /auth/passkey.js.
+function relyingParty(baseURL) {
+  const url = new URL(baseURL);
+  return { rpID: process.env.WEBAUTHN_RP_ID || url.hostname, origin: url.origin };
+}
+
+function sendError(res, err) {
+  if (err instanceof AuthError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error('Passkey error:', err);
+  res.status(500).json({ error: 'Passkey sign-in failed' });
+}
+
+// The challenge the last options were made with; each is used only once
+function takeChallenge(req) {
+  const challenge = req.session.passkeyChallenge;
+  delete req.session.passkeyChallenge;
+  if (!challenge) {
+    throw new AuthError('The passkey request expired, please try again');
+  }
+  return challenge;
+}
+
+module.exports = {
+  name: 'passkey',
+  label: 'Passkey',
+
+  enabled() {
+    return true;
+  },
+
+  routes(router, { pool, baseURL, returnTo }) {
+    const { rpID, origin } = relyingParty(baseURL);
+
+    router.get('/auth/passkey.js', (req, res) => {
+      res.sendFile(path.join(__dirname, '..', 'public', 'passkey.js'));
+    });
+
+    router.post('/auth/passkey/register/options', async (req, res) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Sign in first to add a passkey' });
+      }
+      try {
+        const existing = await pool.query(
+          'SELECT credential_id, transports FROM passkeys WHERE user_id = $1',
+          [req.user.id]
+        );
+        const options = await generateRegistrationOptions({
+          rpName: 'My Free Apps Platform',
+          rpID,
+          userID: String(req.user.id),
+          userName: req.user.email,
+          userDisplayName: req.user.name || req.user.email,
+          attestationType: 'none',
+          excludeCredentials: existing.rows.map((row) => ({
+            id: isoBase64URL.toBuffer(row.credential_id),
+            type: 'public-key',
+            transports: row.transports || undefined
+          })),
+          // Discoverable, so signing in needs no username
+          authenticatorSelection: { residentKey: 'required', userVerification: 'preferred' }
+        });
+        req.session.passkeyChallenge = options.challenge;
+        res.json(options);
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+
+    router.post('/auth/passkey/register', async (req, res) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Sign in first to add a passkey' });
+      }
+      try {
+        const { verified, registrationInfo } = await verifyRegistrationResponse({
+          response: req.body.response,
+          expectedChallenge: takeChallenge(req),
+          expectedOrigin: origin,
+          expectedRPID: rpID
+        }).catch((err) => {
+          throw new AuthError(`The passkey could not be verified: ${err.message}`);
+        });
+        if (!verified) {
+          throw new AuthError('The passkey could not be verified');
+        }
+
+        const credentialId = isoBase64URL.fromBuffer(registrationInfo.credentialID);
+        await resolveIdentity(pool, { provider: 'passkey', providerId: credentialId }, req.user);
+        const name = String(req.body.name || '').trim().slice(0, 100) || 'Passkey';
+        await pool.query(
+          `INSERT INTO passkeys (credential_id, identity_id, user_id, public_key, counter, transports, name)
+           SELECT $1, id, user_id, $2, $3, $4, $5
+           FROM user_identities WHERE provider = 'passkey' AND provider_id = $1
+           ON CONFLICT (credential_id) DO NOTHING`,
+          [
+            credentialId,
+            Buffer.from(registrationInfo.credentialPublicKey),
+            registrationInfo.counter,
+            req.body.response.response?.transports || null,
+            name
+          ]
+        );
+        res.json({ ok: true });
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+
+    router.post('/auth/passkey/login/options', async (req, res) => {
+      try {
+        const options = await generateAuthenticationOptions({ rpID, userVerification: 'preferred' });
+        req.session.passkeyChallenge = options.challenge;
+        res.json(options);
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+
+    router.post('/auth/passkey/login', async (req, res) => {
+      try {
+        const response = req.body.response || {};
+        const challenge = takeChallenge(req);
+        const result = await pool.query('SELECT * FROM passkeys WHERE credential_id = $1', [String(response.id)]);
+        const passkey = result.rows[0];
+        if (!passkey) {
+          throw new AuthError("That passkey isn't linked to an account");
+        }
+
+        const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+          response,
+          expectedChallenge: challenge,
+          expectedOrigin: origin,
+          expectedRPID: rpID,
+          authenticator: {
+            credentialID: isoBase64URL.toBuffer(passkey.credential_id),
+            credentialPublicKey: new Uint8Array(passkey.public_key),
+            counter: Number(passkey.counter),
+            transports: passkey.transports || undefined
+          }
+        }).catch((err) => {
+          throw new AuthError(`The passkey could not be verified: ${err.message}`);
+        });
+        if (!verified) {
+          throw new AuthError('The passkey could not be verified');
+        }
+
+        await pool.query('UPDATE passkeys SET counter = $1 WHERE credential_id = $2', [authenticationInfo.newCounter, passkey.credential_id]);
+        const user = await resolveIdentity(pool, { provider: 'passkey', providerId: passkey.credential_id });
+        req.login(user, { keepSessionInfo: true }, (err) => {
+          if (err) return sendError(res, err);
+          res.json({ redirect: returnTo(req) });
+        });
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+  }
+};
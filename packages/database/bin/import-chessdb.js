@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+// Move chess from its old database of its own into the shared one the
+// POSTGRES_* environment variables point at:
+//
+//   import-chessdb [source]   copy the chess_* tables out of `source` (chessdb)
+//
+// Games, moves and ratings keep their ids, so links to games still work.
+// Players are matched to the shared users by their Google account, and
+// added when they have never signed in to another app. Everything is
+// copied in one transaction, and nothing is copied when the shared
+// database already has chess games or `source` does not exist, so it is
+// safe to run on every deploy.
+
+const { Client } = require('pg');
+const { pool, connectionConfig, migrate } = require('..');
+
+// The chess tables in the order they can be filled, with the columns that
+// hold a user id
+const TABLES = [
+  ['chess_games', ['white_player_id', 'black_player_id', 'created_by']],
+  ['chess_moves', ['player_id']],
+  ['chess_game_events', ['user_id']],
+  ['chess_ratings', ['user_id']],
+  ['chess_rating_history', ['user_id']]
+];
+
+async function columnsOf(db, table) {
+  const result = await db.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = $1
+     ORDER BY ordinal_position`,
+    [table]
+  );
+  return result.rows.map(row => row.column_name);
+}
+
+// The shared user each player in `source` is, keyed by their old id
+async function mapUsers(source, target) {
+  const ids = new Map();
+  const hasBotColumn = (await columnsOf(source, 'users')).includes('is_bot');
+  const users = await source.query(
+    `SELECT id, google_id, email, name, picture, created_at, ${hasBotColumn ? 'is_bot' : 'false AS is_bot'}
+     FROM users ORDER BY id`
+  );
+
+  for (const user of users.rows) {
+    const existing = await target.query(
+      `SELECT user_id AS id FROM user_identities WHERE provider = 'google' AND provider_id = $1
+       UNION ALL
+       SELECT id FROM users WHERE google_id = $1
+       LIMIT 1`,
+      [user.google_id]
+    );
+    if (existing.rows.length > 0) {
+      ids.set(user.id, existing.rows[0].id);
+      continue;
+    }
+
+    const created = await target.query(
+      `INSERT INTO users (google_id, email, name, picture, created_at, is_bot)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [user.google_id, user.email, user.name, user.picture, user.created_at, user.is_bot]
+    );
+    ids.set(user.id, created.rows[0].id);
+    // Bots never sign in; everyone else signs in with the same Google account
+    if (!user.is_bot && user.google_id) {
+      await target.query(
+        `INSERT INTO user_identities (user_id, provider, provider_id, email)
+         VALUES ($1, 'google', $2, $3)`,
+        [created.rows[0].id, user.google_id, user.email]
+      );
+    }
+  }
+  return ids;
+}
+
+// Copy `table` row by row, swapping old user ids for shared ones. Columns
+// only one side has (an older chessdb) are left to their defaults.
+async function copyTable(source, target, table, userColumns, userIds) {
+  const sourceColumns = await columnsOf(source, table);
+  if (sourceColumns.length === 0) return 0;
+  const targetColumns = new Set(await columnsOf(target, table));
+  const columns = sourceColumns.filter(column => targetColumns.has(column));
+
+  const rows = await source.query(`SELECT ${columns.join(', ')} FROM ${table} ORDER BY 1`);
+  const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+  for (const row of rows.rows) {
+    const values = columns.map(column => {
+      if (!userColumns.includes(column) || row[column] === null) return row[column];
+      return userIds.get(row[column]) ?? null;
+    });
+    await target.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`, values);
+  }
+
+  // New rows carry on numbering after the copied ones
+  if (columns.includes('id')) {
+    await target.query(
+      `SELECT setval(pg_get_serial_sequence($1, 'id'), COALESCE(MAX(id), 1), MAX(id) IS NOT NULL) FROM ${table}`,
+      [table]
+    );
+  }
+  return rows.rows.length;
+}
+
+async function main([sourceDb = 'chessdb']) {
+  if (sourceDb === connectionConfig.database) {
+    throw new Error(`${sourceDb} is already the shared database`);
+  }
+  await migrate();
+
+  const source = new Client({ ...connectionConfig, database: sourceDb });
+  try {
+    await source.connect();
+  } catch (err) {
+    // invalid_catalog_name: nothing left to move
+    if (err.code === '3D000') {
+      console.log(`No ${sourceDb} database, nothing to import.`);
+      return;
+    }
+    throw err;
+  }
+
+  const target = await pool.connect();
+  try {
+    await target.query('BEGIN');
+    // Other pods running this at the same time wait here, then find the games
+    await target.query('LOCK TABLE chess_games IN EXCLUSIVE MODE');
+    const games = await target.query('SELECT 1 FROM chess_games LIMIT 1');
+    if (games.rows.length > 0) {
+      await target.query('ROLLBACK');
+      console.log('The shared database already has chess games, nothing to import.');
+      return;
+    }
+
+    const userIds = await mapUsers(source, target);
+    const copied = [];
+    for (const [table, userColumns] of TABLES) {
+      copied.push(`${await copyTable(source, target, table, userColumns, userIds)} ${table}`);
+    }
+    await target.query('COMMIT');
+    console.log(`Imported ${userIds.size} users, ${copied.join(', ')} from ${sourceDb}.`);
+  } catch (err) {
+    await target.query('ROLLBACK');
+    throw err;
+  } finally {
+    target.release();
+    await source.end();
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Run schema migrations by hand, against the database the POSTGRES_*
+// environment variables point at:
+//
+//   migrate up [version]   apply pending migrations (up to `version`)
+//   migrate down [steps]   roll back the last migration (or `steps` of them)
+//   migrate status         list migrations and whether they have run
+//   migrate create <name>  start a new migration file
+
+const { pool } = require('..');
+const migrations = require('../migrate');
+
+const USAGE = 'Usage: migrate up [version] | down [steps] | status | create <name>';
+
+// A whole number argument, or `fallback` when it is left out
+function count(arg, fallback) {
+  if (arg === undefined) return fallback;
+  const n = Number(arg);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new migrations.MigrationError(`Expected a positive whole number, got "${arg}"`);
+  }
+  return n;
+}
+
+async function main([command = 'up', arg]) {
+  switch (command) {
+    case 'up': {
+      const applied = await migrations.migrate(pool, { to: count(arg, null) });
+      if (applied.length === 0) console.log('Database is up to date.');
+      break;
+    }
+    case 'down':
+      await migrations.rollback(pool, { steps: count(arg, 1) });
+      break;
+    case 'status':
+      for (const m of await migrations.status(pool)) {
+        const when = m.appliedAt ? new Date(m.appliedAt).toISOString().slice(0, 19).replace('T', ' ') : '';
+        console.log(`${m.state.padEnd(8)} ${m.name.padEnd(40)} ${when}`);
+      }
+      break;
+    case 'create':
+      console.log(`Created ${migrations.createMigration(arg)}`);
+      return;
+    default:
+      throw new migrations.MigrationError(USAGE);
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(err => {
+    console.error(err instanceof migrations.MigrationError ? `❌ ${err.message}` : err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -1,12 +1,17 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
+const migrations = require('./migrate');
 
-// Shared database connection pool
-const pool = new Pool({
+const connectionConfig = {
   user: process.env.POSTGRES_USER || 'postgres',
   host: process.env.POSTGRES_HOST || 'postgres-service',
   database: process.env.POSTGRES_DB || 'platformdb',
   password: process.env.POSTGRES_PASSWORD || 'mysecretpassword',
   port: 5432,
+};
+
+// Shared database connection pool
+const pool = new Pool({
+  ...connectionConfig,
   max: 20,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 2000,
@@ -16,11 +21,90 @@ pool.on('error', (err) => {
   console.error('Unexpected database error:', err);
 });
 
+const listeners = new Set();
+
+// Subscribe to a Postgres NOTIFY channel. LISTEN needs a connection of its
+// own for as long as it runs, so this opens one outside the pool and
+// reconnects whenever it drops.
+function listen(channel, onNotification, { retryDelay = 5000 } = {}) {
+  if (!/^[a-z_][a-z0-9_]*$/.test(channel)) {
+    throw new Error(`Invalid channel name: ${channel}`);
+  }
+
+  let client = null;
+  let stopped = false;
+
+  const connect = async () => {
+    if (stopped) return;
+
+    const conn = new Client(connectionConfig);
+    let failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      if (client === conn) client = null;
+      conn.end().catch(() => {});
+      if (!stopped) {
+        console.error(`LISTEN ${channel} connection lost, retrying:`, err.message);
+        setTimeout(connect, retryDelay);
+      }
+    };
+
+    conn.on('error', fail);
+    conn.on('end', () => fail(new Error('connection ended')));
+    conn.on('notification', (msg) => onNotification(msg.payload));
+
+    try {
+      await conn.connect();
+      await conn.query(`LISTEN ${channel}`);
+      if (stopped) return conn.end();
+      client = conn;
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const listener = {
+    async stop() {
+      stopped = true;
+      listeners.delete(listener);
+      if (client) await client.end().catch(() => {});
+    }
+  };
+
+  listeners.add(listener);
+  connect();
+  return listener;
+}
+
+// Publish on a NOTIFY channel. Pass a transaction's client as `db` to have
+// the notification delivered only if that transaction commits.
+function notify(channel, payload, db = pool) {
+  return db.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify(payload)]);
+}
+
+// How busy `db` (by default the shared pool) is, for metrics
+function poolStats(db = pool) {
+  return {
+    total: db.totalCount,
+    idle: db.idleCount,
+    waiting: db.waitingCount,
+    max: db.options.max
+  };
+}
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing database pool...');
+  await Promise.all([...listeners].map((listener) => listener.stop()));
   await pool.end();
   process.exit(0);
 });
 
-module.exports = { pool };
+// Bring the shared schema up to date; apps call this before they start
+// using the database (see migrate.js)
+function migrate(options) {
+  return migrations.migrate(pool, options);
+}
+
+module.exports = { pool, connectionConfig, listen, notify, poolStats, migrate };
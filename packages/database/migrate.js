@@ -0,0 +1,209 @@
+// Schema migrations: numbered .sql files in migrations/ (001_chess_tables.sql,
+// ...) applied in order, each in its own transaction, and recorded in the
+// schema_migrations table with a checksum so a file edited after it ran is
+// reported instead of silently skipped. Anything after a `-- migrate:down`
+// line in a file is the SQL that undoes it.
+//
+// Every pod runs the pending migrations when it starts; a Postgres advisory
+// lock makes the others wait until the first one is done.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+// Any fixed number works, as long as nothing else takes the same lock
+const LOCK_KEY = 4724301;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+// The migration files in `dir`, in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => /^\d+_[\w-]+\.sql$/.test(file))
+    .map(file => {
+      // Line endings do not change the checksum, so Windows checkouts agree
+      const content = fs.readFileSync(path.join(dir, file), 'utf8').replace(/\r\n/g, '\n');
+      const marker = content.match(DOWN_MARKER);
+      const up = (marker ? content.slice(0, marker.index) : content).trim();
+      const down = marker ? content.slice(marker.index + marker[0].length).trim() : '';
+
+      return {
+        version: Number(file.match(/^\d+/)[0]),
+        name: file.replace(/\.sql$/, ''),
+        up,
+        down: down || null,
+        checksum: crypto.createHash('sha256').update(up).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new MigrationError(`Two migrations have version ${migration.version}: ${migrations[i - 1].name} and ${migration.name}`);
+    }
+  });
+  return migrations;
+}
+
+// Run `fn` with a client holding the migration lock
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          checksum TEXT NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          duration_ms INTEGER
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function appliedMigrations(db) {
+  const result = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Run `sql` and record the change in one transaction
+async function runInTransaction(client, migration, sql, record) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw new MigrationError(`Migration ${migration.name} failed: ${err.message}`);
+  }
+}
+
+// Apply every pending migration, or those up to `to`. Refuses to run if a
+// migration that already ran has since been edited. Returns the names of
+// the migrations applied.
+async function migrate(pool, { dir = MIGRATIONS_DIR, to = null, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(pool, async (client) => {
+    const applied = await appliedMigrations(client);
+
+    const changed = migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+    if (changed.length > 0) {
+      throw new MigrationError(
+        `Migrations changed after they were applied: ${changed.map(m => m.name).join(', ')}. ` +
+        'Add a new migration instead of editing one that has run.'
+      );
+    }
+
+    // Newer pods may have run migrations this one does not know about yet
+    const known = new Set(migrations.map(m => m.version));
+    for (const row of applied.values()) {
+      if (!known.has(row.version)) log(`⚠️ Applied migration ${row.name} has no file here`);
+    }
+
+    const pending = migrations.filter(m => !applied.has(m.version) && (to === null || m.version <= to));
+    for (const migration of pending) {
+      const started = Date.now();
+      await runInTransaction(client, migration, migration.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)',
+        [migration.version, migration.name, migration.checksum, Date.now() - started]
+      ));
+      log(`✅ Applied migration ${migration.name} (${Date.now() - started} ms)`);
+    }
+    return pending.map(m => m.name);
+  });
+}
+
+// Undo the last `steps` applied migrations, newest first, with their
+// `-- migrate:down` sections. Returns the names of the migrations undone.
+async function rollback(pool, { dir = MIGRATIONS_DIR, steps = 1, log = console.log } = {}) {
+  const migrations = new Map(loadMigrations(dir).map(m => [m.version, m]));
+
+  return withLock(pool, async (client) => {
+    const applied = [...(await appliedMigrations(client)).values()].reverse().slice(0, steps);
+
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new MigrationError(`Cannot roll back ${row.name}: its file is missing`);
+      }
+      if (!migration.down) {
+        throw new MigrationError(`Cannot roll back ${row.name}: it has no -- migrate:down section`);
+      }
+    }
+
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      await runInTransaction(client, migration, migration.down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ));
+      log(`↩️ Rolled back migration ${migration.name}`);
+    }
+    return applied.map(row => row.name);
+  });
+}
+
+// Every migration with its state: 'applied', 'pending', 'changed' (edited
+// since it ran) or 'missing' (ran, but has no file here)
+async function status(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  const exists = await pool.query("SELECT to_regclass('schema_migrations') IS NOT NULL as exists");
+  const applied = exists.rows[0].exists ? await appliedMigrations(pool) : new Map();
+
+  const rows = migrations.map(m => {
+    const row = applied.get(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      state: !row ? 'pending' : row.checksum === m.checksum ? 'applied' : 'changed',
+      appliedAt: row ? row.applied_at : null
+    };
+  });
+  for (const row of applied.values()) {
+    if (!migrations.some(m => m.version === row.version)) {
+      rows.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+  }
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+// Write an empty migration numbered after the last one. Returns its path.
+function createMigration(name, { dir = MIGRATIONS_DIR } = {}) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new MigrationError('Give the migration a name, e.g. "add habit colors"');
+  }
+
+  const migrations = loadMigrations(dir);
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = path.join(dir, `${String(version).padStart(3, '0')}_${slug}.sql`);
+  fs.writeFileSync(file, '-- What this migration changes and why\n\n\n-- migrate:down\n\n');
+  return file;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  createMigration
+};
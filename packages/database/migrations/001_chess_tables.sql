@@ -1,4 +1,4 @@
-# Add database migration SQL
+-- Chess games and the moves played in them
 CREATE TABLE IF NOT EXISTS chess_games (
   id SERIAL PRIMARY KEY,
   white_player_id INTEGER REFERENCES users(id),
@@ -22,3 +22,7 @@ CREATE TABLE IF NOT EXISTS chess_moves (
 CREATE INDEX IF NOT EXISTS idx_chess_games_players ON chess_games(white_player_id, black_player_id);
 CREATE INDEX IF NOT EXISTS idx_chess_games_status ON chess_games(status);
 CREATE INDEX IF NOT EXISTS idx_chess_moves_game ON chess_moves(game_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS chess_moves;
+DROP TABLE IF EXISTS chess_games;
@@ -0,0 +1,19 @@
+-- Server-side move validation: remember where each game started and how it ended
+ALTER TABLE chess_games
+  ADD COLUMN IF NOT EXISTS initial_fen TEXT NOT NULL DEFAULT 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+  ADD COLUMN IF NOT EXISTS result VARCHAR(7),
+  ADD COLUMN IF NOT EXISTS termination VARCHAR(30);
+
+-- Coordinate form of each move, alongside the SAN in move_notation
+ALTER TABLE chess_moves
+  ADD COLUMN IF NOT EXISTS move_uci VARCHAR(5);
+
+CREATE INDEX IF NOT EXISTS idx_chess_moves_game_order ON chess_moves(game_id, id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_chess_moves_game_order;
+ALTER TABLE chess_moves DROP COLUMN IF EXISTS move_uci;
+ALTER TABLE chess_games
+  DROP COLUMN IF EXISTS initial_fen,
+  DROP COLUMN IF EXISTS result,
+  DROP COLUMN IF EXISTS termination;
@@ -0,0 +1,17 @@
+-- Lobby: who opened the game, whether it is listed publicly and its invite link
+ALTER TABLE chess_games
+  ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS invite_token VARCHAR(32),
+  ADD COLUMN IF NOT EXISTS is_open BOOLEAN NOT NULL DEFAULT true;
+
+UPDATE chess_games SET created_by = COALESCE(white_player_id, black_player_id) WHERE created_by IS NULL;
+UPDATE chess_games SET invite_token = md5(random()::text || id::text) WHERE invite_token IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chess_games_invite_token ON chess_games(invite_token);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_chess_games_invite_token;
+ALTER TABLE chess_games
+  DROP COLUMN IF EXISTS created_by,
+  DROP COLUMN IF EXISTS invite_token,
+  DROP COLUMN IF EXISTS is_open;
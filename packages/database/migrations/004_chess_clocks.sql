@@ -0,0 +1,24 @@
+-- Time controls: "3+2" style live clocks or "3d" days per move; NULL is untimed
+ALTER TABLE chess_games
+  ADD COLUMN IF NOT EXISTS time_control VARCHAR(10),
+  ADD COLUMN IF NOT EXISTS white_time_ms INTEGER,
+  ADD COLUMN IF NOT EXISTS black_time_ms INTEGER,
+  ADD COLUMN IF NOT EXISTS turn_deadline TIMESTAMPTZ;
+
+-- Remaining time of both players right after each move
+ALTER TABLE chess_moves
+  ADD COLUMN IF NOT EXISTS white_time_ms INTEGER,
+  ADD COLUMN IF NOT EXISTS black_time_ms INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_chess_games_turn_deadline ON chess_games(turn_deadline) WHERE status = 'active';
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_chess_games_turn_deadline;
+ALTER TABLE chess_moves
+  DROP COLUMN IF EXISTS white_time_ms,
+  DROP COLUMN IF EXISTS black_time_ms;
+ALTER TABLE chess_games
+  DROP COLUMN IF EXISTS time_control,
+  DROP COLUMN IF EXISTS white_time_ms,
+  DROP COLUMN IF EXISTS black_time_ms,
+  DROP COLUMN IF EXISTS turn_deadline;
@@ -0,0 +1,6 @@
+-- Analysis games, imported from PGN or FEN, where one user plays both sides
+ALTER TABLE chess_games
+  ADD COLUMN IF NOT EXISTS is_analysis BOOLEAN NOT NULL DEFAULT false;
+
+-- migrate:down
+ALTER TABLE chess_games DROP COLUMN IF EXISTS is_analysis;
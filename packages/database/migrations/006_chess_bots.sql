@@ -0,0 +1,11 @@
+-- Computer opponents are ordinary users rows flagged as bots
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS is_bot BOOLEAN NOT NULL DEFAULT false;
+
+-- Strength of the computer in games against it
+ALTER TABLE chess_games
+  ADD COLUMN IF NOT EXISTS bot_level SMALLINT;
+
+-- migrate:down
+ALTER TABLE chess_games DROP COLUMN IF EXISTS bot_level;
+ALTER TABLE users DROP COLUMN IF EXISTS is_bot;
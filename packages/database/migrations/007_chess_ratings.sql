@@ -0,0 +1,34 @@
+-- Rated games move both players' ratings; casual games leave them alone
+ALTER TABLE chess_games
+  ADD COLUMN IF NOT EXISTS rated BOOLEAN NOT NULL DEFAULT false;
+
+-- Current Glicko-2 rating of everyone who has finished a rated game
+CREATE TABLE IF NOT EXISTS chess_ratings (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  rating DOUBLE PRECISION NOT NULL DEFAULT 1500,
+  rd DOUBLE PRECISION NOT NULL DEFAULT 350,
+  volatility DOUBLE PRECISION NOT NULL DEFAULT 0.06,
+  games_played INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- The rating each rated game left a player on
+CREATE TABLE IF NOT EXISTS chess_rating_history (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  game_id INTEGER NOT NULL REFERENCES chess_games(id) ON DELETE CASCADE,
+  rating DOUBLE PRECISION NOT NULL,
+  rd DOUBLE PRECISION NOT NULL,
+  volatility DOUBLE PRECISION NOT NULL,
+  rating_change DOUBLE PRECISION NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, game_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chess_ratings_rating ON chess_ratings(rating DESC);
+CREATE INDEX IF NOT EXISTS idx_chess_rating_history_user ON chess_rating_history(user_id, created_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS chess_rating_history;
+DROP TABLE IF EXISTS chess_ratings;
+ALTER TABLE chess_games DROP COLUMN IF EXISTS rated;
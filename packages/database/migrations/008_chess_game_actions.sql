@@ -0,0 +1,35 @@
+-- Game lifecycle: 'waiting' for an opponent, 'active', then either 'finished'
+-- with a result or 'aborted' (called off before it really started, no result)
+ALTER TABLE chess_games DROP CONSTRAINT IF EXISTS chess_games_status_check;
+ALTER TABLE chess_games
+  ADD CONSTRAINT chess_games_status_check CHECK (status IN ('waiting', 'active', 'finished', 'aborted'));
+
+ALTER TABLE chess_games DROP CONSTRAINT IF EXISTS chess_games_result_check;
+ALTER TABLE chess_games
+  ADD CONSTRAINT chess_games_result_check CHECK (status = 'finished' OR result IS NULL);
+
+-- Open draw offer and takeback request, by seat ('w' or 'b')
+ALTER TABLE chess_games
+  ADD COLUMN IF NOT EXISTS draw_offer CHAR(1),
+  ADD COLUMN IF NOT EXISTS takeback_request CHAR(1);
+
+-- Everything players do besides moving: resignations, offers and their
+-- answers, takebacks and aborts, with who did it
+CREATE TABLE IF NOT EXISTS chess_game_events (
+  id SERIAL PRIMARY KEY,
+  game_id INTEGER NOT NULL REFERENCES chess_games(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id),
+  color CHAR(1),
+  type VARCHAR(20) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chess_game_events_game ON chess_game_events(game_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS chess_game_events;
+ALTER TABLE chess_games
+  DROP COLUMN IF EXISTS draw_offer,
+  DROP COLUMN IF EXISTS takeback_request;
+ALTER TABLE chess_games DROP CONSTRAINT IF EXISTS chess_games_result_check;
+ALTER TABLE chess_games DROP CONSTRAINT IF EXISTS chess_games_status_check;
@@ -0,0 +1,56 @@
+-- Habit tracker: habits, their schedules and targets, and check-ins. The
+-- ALTERs bring databases the tracker set up itself before migrations up to
+-- date.
+
+-- IANA timezone the user's days are counted in
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+CREATE TABLE IF NOT EXISTS habits (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  reminder_time TIME
+);
+
+ALTER TABLE habits
+  ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS reminder_time TIME;
+
+-- Schedules (see apps/habit-tracker/lib/schedule.js); existing habits stay daily
+ALTER TABLE habits
+  ADD COLUMN IF NOT EXISTS schedule_type TEXT NOT NULL DEFAULT 'daily',
+  ADD COLUMN IF NOT EXISTS schedule_days INTEGER[],
+  ADD COLUMN IF NOT EXISTS schedule_times INTEGER,
+  ADD COLUMN IF NOT EXISTS schedule_interval INTEGER;
+
+CREATE TABLE IF NOT EXISTS completions (
+  id SERIAL PRIMARY KEY,
+  habit_id INTEGER REFERENCES habits(id) ON DELETE CASCADE,
+  completed_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  UNIQUE(habit_id, completed_date)
+);
+
+-- Check-ins added after the day they are for, e.g. from the calendar
+ALTER TABLE completions ADD COLUMN IF NOT EXISTS backdated BOOLEAN NOT NULL DEFAULT false;
+
+-- Quantitative habits: a daily target and unit, and the amounts logged
+ALTER TABLE habits
+  ADD COLUMN IF NOT EXISTS target DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS unit TEXT;
+
+CREATE TABLE IF NOT EXISTS habit_entries (
+  id SERIAL PRIMARY KEY,
+  habit_id INTEGER REFERENCES habits(id) ON DELETE CASCADE,
+  entry_date DATE NOT NULL,
+  amount DOUBLE PRECISION NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_habit_entries_habit_date ON habit_entries(habit_id, entry_date);
+
+-- migrate:down
+DROP TABLE IF EXISTS habit_entries;
+DROP TABLE IF EXISTS completions;
+DROP TABLE IF EXISTS habits;
+ALTER TABLE users DROP COLUMN IF EXISTS timezone;
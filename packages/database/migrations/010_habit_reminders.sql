@@ -0,0 +1,38 @@
+-- Habit tracker reminders: Web Push subscriptions, one per browser
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  endpoint TEXT UNIQUE NOT NULL,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Opt-in daily email digest
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS email_digest BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS digest_time TIME NOT NULL DEFAULT '08:00';
+
+-- Reminders sent, one row per habit (push) or user (digest) per local day;
+-- the unique indexes stop two replicas from sending the same one
+CREATE TABLE IF NOT EXISTS reminder_deliveries (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  habit_id INTEGER REFERENCES habits(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL,
+  local_date DATE NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminder_deliveries_habit
+  ON reminder_deliveries(habit_id, kind, local_date) WHERE habit_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminder_deliveries_user
+  ON reminder_deliveries(user_id, kind, local_date) WHERE habit_id IS NULL;
+
+-- migrate:down
+DROP TABLE IF EXISTS reminder_deliveries;
+ALTER TABLE users
+  DROP COLUMN IF EXISTS email_digest,
+  DROP COLUMN IF EXISTS digest_time;
+DROP TABLE IF EXISTS push_subscriptions;
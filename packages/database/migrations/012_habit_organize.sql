@@ -0,0 +1,26 @@
+-- Organising habits: tags, archiving instead of deleting, the user's own
+-- order, and a note on each day's check-in
+ALTER TABLE habits
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS position INTEGER;
+
+ALTER TABLE completions ADD COLUMN IF NOT EXISTS note TEXT;
+
+-- Habits from before ordering go after any that have a position, newest first
+UPDATE habits h
+SET position = o.position
+FROM (
+  SELECT id,
+         COALESCE(MAX(position) OVER (PARTITION BY user_id), 0)
+           + ROW_NUMBER() OVER (PARTITION BY user_id, position IS NULL ORDER BY created_at DESC, id DESC) as position
+  FROM habits
+) o
+WHERE h.id = o.id AND h.position IS NULL;
+
+-- migrate:down
+ALTER TABLE completions DROP COLUMN IF EXISTS note;
+ALTER TABLE habits
+  DROP COLUMN IF EXISTS tags,
+  DROP COLUMN IF EXISTS archived_at,
+  DROP COLUMN IF EXISTS position;
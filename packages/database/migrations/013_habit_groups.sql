@@ -0,0 +1,63 @@
+-- Habit tracker accountability groups and their shared challenges
+-- (see apps/habit-tracker/lib/groups.js)
+CREATE TABLE IF NOT EXISTS habit_groups (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  description TEXT,
+  owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+  group_id INTEGER NOT NULL REFERENCES habit_groups(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'member',
+  share_stats BOOLEAN NOT NULL DEFAULT true,
+  share_activity BOOLEAN NOT NULL DEFAULT true,
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (group_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS group_invites (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES habit_groups(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_group_invites_email ON group_invites(group_id, lower(email));
+
+CREATE TABLE IF NOT EXISTS challenges (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES habit_groups(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  schedule_type TEXT NOT NULL DEFAULT 'daily',
+  schedule_days INTEGER[],
+  schedule_times INTEGER,
+  schedule_interval INTEGER,
+  target DOUBLE PRECISION,
+  unit TEXT,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A member's own habit for a challenge; it stays theirs if they leave
+ALTER TABLE habits ADD COLUMN IF NOT EXISTS challenge_id INTEGER REFERENCES challenges(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_habits_challenge_user ON habits(challenge_id, user_id) WHERE challenge_id IS NOT NULL;
+
+-- When each check-in was made, for the group activity feed; check-ins
+-- from before this column have none
+ALTER TABLE completions ADD COLUMN IF NOT EXISTS created_at TIMESTAMP;
+ALTER TABLE completions ALTER COLUMN created_at SET DEFAULT CURRENT_TIMESTAMP;
+
+-- migrate:down
+ALTER TABLE completions DROP COLUMN IF EXISTS created_at;
+ALTER TABLE habits DROP COLUMN IF EXISTS challenge_id;
+DROP TABLE IF EXISTS challenges;
+DROP TABLE IF EXISTS group_invites;
+DROP TABLE IF EXISTS group_members;
+DROP TABLE IF EXISTS habit_groups;
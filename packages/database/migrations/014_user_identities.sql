@@ -0,0 +1,58 @@
+-- Sign-in methods beyond Google (see packages/auth): each provider account
+-- that signs in as a user, so one user can link several
+CREATE TABLE IF NOT EXISTS user_identities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL,
+  provider_id TEXT NOT NULL,
+  email TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  UNIQUE (provider, provider_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+
+-- Users who never had a Google account have no google_id (rolling back
+-- gives them a 'none:' placeholder)
+ALTER TABLE users ALTER COLUMN google_id DROP NOT NULL;
+UPDATE users SET google_id = NULL WHERE google_id LIKE 'none:%';
+
+-- Everyone who signed in with Google so far; chess bots never sign in
+INSERT INTO user_identities (user_id, provider, provider_id, email)
+SELECT id, 'google', google_id, email
+FROM users
+WHERE google_id IS NOT NULL AND google_id NOT LIKE 'bot:%'
+ON CONFLICT (provider, provider_id) DO NOTHING;
+
+-- Emailed sign-in links; only a hash of each token is kept
+CREATE TABLE IF NOT EXISTS login_tokens (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  -- Set when a signed-in user asked for the link to add this address
+  link_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+-- Passkeys; each also has a 'passkey' identity, and goes when it is unlinked
+CREATE TABLE IF NOT EXISTS passkeys (
+  credential_id TEXT PRIMARY KEY,
+  identity_id INTEGER NOT NULL REFERENCES user_identities(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  public_key BYTEA NOT NULL,
+  counter BIGINT NOT NULL DEFAULT 0,
+  transports TEXT[],
+  name TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS passkeys;
+DROP TABLE IF EXISTS login_tokens;
+-- Users without Google keep their data but can't sign in any more
+UPDATE users SET google_id = 'none:' || id WHERE google_id IS NULL;
+ALTER TABLE users ALTER COLUMN google_id SET NOT NULL;
+DROP TABLE IF EXISTS user_identities;
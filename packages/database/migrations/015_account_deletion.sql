@@ -0,0 +1,42 @@
+-- Accounts people manage themselves (see platform-web/lib/account.js)
+
+-- Set when the user edits their name or avatar; until then each sign-in
+-- refreshes them from the provider
+ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_updated_at TIMESTAMP;
+
+-- Deleting an account keeps the chess games it played for the opponents,
+-- with the deleted player's seat and moves left without a user
+ALTER TABLE chess_games
+  DROP CONSTRAINT IF EXISTS chess_games_white_player_id_fkey,
+  DROP CONSTRAINT IF EXISTS chess_games_black_player_id_fkey,
+  DROP CONSTRAINT IF EXISTS chess_games_created_by_fkey,
+  ADD CONSTRAINT chess_games_white_player_id_fkey FOREIGN KEY (white_player_id) REFERENCES users(id) ON DELETE SET NULL,
+  ADD CONSTRAINT chess_games_black_player_id_fkey FOREIGN KEY (black_player_id) REFERENCES users(id) ON DELETE SET NULL,
+  ADD CONSTRAINT chess_games_created_by_fkey FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE chess_moves
+  DROP CONSTRAINT IF EXISTS chess_moves_player_id_fkey,
+  ADD CONSTRAINT chess_moves_player_id_fkey FOREIGN KEY (player_id) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE chess_game_events
+  DROP CONSTRAINT IF EXISTS chess_game_events_user_id_fkey,
+  ADD CONSTRAINT chess_game_events_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+
+-- migrate:down
+ALTER TABLE chess_game_events
+  DROP CONSTRAINT IF EXISTS chess_game_events_user_id_fkey,
+  ADD CONSTRAINT chess_game_events_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id);
+
+ALTER TABLE chess_moves
+  DROP CONSTRAINT IF EXISTS chess_moves_player_id_fkey,
+  ADD CONSTRAINT chess_moves_player_id_fkey FOREIGN KEY (player_id) REFERENCES users(id);
+
+ALTER TABLE chess_games
+  DROP CONSTRAINT IF EXISTS chess_games_white_player_id_fkey,
+  DROP CONSTRAINT IF EXISTS chess_games_black_player_id_fkey,
+  DROP CONSTRAINT IF EXISTS chess_games_created_by_fkey,
+  ADD CONSTRAINT chess_games_white_player_id_fkey FOREIGN KEY (white_player_id) REFERENCES users(id),
+  ADD CONSTRAINT chess_games_black_player_id_fkey FOREIGN KEY (black_player_id) REFERENCES users(id),
+  ADD CONSTRAINT chess_games_created_by_fkey FOREIGN KEY (created_by) REFERENCES users(id);
+
+ALTER TABLE users DROP COLUMN IF EXISTS profile_updated_at;
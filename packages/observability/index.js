@@ -0,0 +1,145 @@
+// Logs, metrics and health checks shared by every app. In app.js:
+//
+//   useJsonLogs('habit-tracker');       // first, before anything logs
+//   ...
+//   app.use(observe(pool));             // before any other middleware
+//
+// observe() gives each request an id (X-Request-Id), logs it when it ends,
+// times it, and serves /livez, /readyz and /metrics.
+const crypto = require('crypto');
+const express = require('express');
+const { poolStats } = require('@my-platform/database');
+const { logger, requestContext, useJsonLogs } = require('./logger');
+const metrics = require('./metrics');
+
+// Probes and scrapes come every few seconds; logging them would bury
+// everything else
+const QUIET_PATHS = ['/livez', '/readyz', '/health', '/metrics'];
+
+const httpDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'Time taken to answer HTTP requests',
+  ['method', 'route', 'status']
+);
+
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size', [], (set) => {
+  set({}, process.memoryUsage().rss);
+});
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use', [], (set) => {
+  set({}, process.memoryUsage().heapUsed);
+});
+metrics.gauge('process_start_time_seconds', 'When the process started, in seconds since the epoch', [], (set) => {
+  set({}, Math.round(Date.now() / 1000 - process.uptime()));
+});
+
+// The pool of the app being observed (see observe())
+let observedPool = null;
+
+metrics.gauge('pg_pool_connections', 'Database connections in the pool, by state', ['state'], (set) => {
+  if (!observedPool) return;
+  const stats = poolStats(observedPool);
+  set({ state: 'total' }, stats.total);
+  set({ state: 'idle' }, stats.idle);
+  set({ state: 'active' }, stats.total - stats.idle);
+});
+metrics.gauge('pg_pool_waiting_clients', 'Queries waiting for a free database connection', [], (set) => {
+  if (observedPool) set({}, poolStats(observedPool).waiting);
+});
+metrics.gauge('pg_pool_max_connections', 'Most connections the pool will open', [], (set) => {
+  if (observedPool) set({}, poolStats(observedPool).max);
+});
+
+// The route pattern rather than the path, so /game/1 and /game/2 are one
+// series; requests no route matched (static files, 404s) share one too
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+}
+
+// Accept a caller's request id (e.g. from a proxy) if it looks like one
+function requestId(req) {
+  const incoming = req.get('X-Request-Id');
+  return incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+function tracing() {
+  return (req, res, next) => {
+    req.id = requestId(req);
+    res.set('X-Request-Id', req.id);
+    const started = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      httpDuration.observe({ method: req.method, route: routeLabel(req), status: res.statusCode }, seconds);
+      if (QUIET_PATHS.includes(req.path)) return;
+      requestContext.run(req, () => {
+        logger.info('request', {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          durationMs: Math.round(seconds * 1000)
+        });
+      });
+    });
+
+    requestContext.run(req, next);
+  };
+}
+
+// /metrics is only for Prometheus: with METRICS_TOKEN set it needs
+// `Authorization: Bearer <METRICS_TOKEN>`, and production, which can be
+// reached from the internet, serves it only then
+function metricsEnabled() {
+  return Boolean(process.env.METRICS_TOKEN) || process.env.NODE_ENV !== 'production';
+}
+
+function allowedToScrape(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return true;
+  const given = Buffer.from(req.get('Authorization') || '');
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function observe(pool) {
+  observedPool = pool;
+  if (!metricsEnabled()) {
+    logger.warn('METRICS_TOKEN is not set; /metrics is turned off');
+  }
+
+  const router = express.Router();
+
+  // Liveness: the process is up and answering
+  router.get('/livez', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Readiness: the database can be reached, so requests can be served
+  router.get('/readyz', async (req, res) => {
+    try {
+      await pool.query('SELECT 1');
+      res.json({ status: 'ready', database: 'connected' });
+    } catch (err) {
+      logger.warn('Readiness check failed', { error: err });
+      res.status(503).json({ status: 'not ready', database: 'disconnected' });
+    }
+  });
+
+  router.get('/metrics', (req, res) => {
+    if (!metricsEnabled()) {
+      return res.status(404).type('text').send('Not Found');
+    }
+    if (!allowedToScrape(req)) {
+      return res.status(401).type('text').send('Unauthorized');
+    }
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
+
+  return [tracing(), router];
+}
+
+module.exports = {
+  logger,
+  useJsonLogs,
+  metrics,
+  observe
+};
@@ -0,0 +1,83 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Logs are one JSON object per line, tagged with the app and, while a
+// request is being handled, its id and the signed-in user's id, so a
+// request can be followed through every line it logged.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+const settings = {
+  service: process.env.SERVICE_NAME || null,
+  level: LEVELS[process.env.LOG_LEVEL] || LEVELS.info
+};
+
+// The original console, which every line is finally written with
+const write = {
+  out: console.log.bind(console),
+  err: console.error.bind(console)
+};
+
+function describeError(err) {
+  const error = { type: err.name, message: err.message, stack: err.stack };
+  if (err.code) error.code = err.code;
+  return error;
+}
+
+function log(level, message, fields = {}) {
+  if (LEVELS[level] < settings.level) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  if (settings.service) entry.service = settings.service;
+
+  const req = requestContext.getStore();
+  if (req) {
+    entry.requestId = req.id;
+    if (req.user) entry.userId = req.user.id;
+  }
+
+  Object.entries(fields).forEach(([key, value]) => {
+    entry[key] = value instanceof Error ? describeError(value) : value;
+  });
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    write.err(line);
+  } else {
+    write.out(line);
+  }
+}
+
+const logger = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields)
+};
+
+// Turn console.log('Something:', value) style arguments into a message,
+// keeping the first error apart so its stack is logged as a field
+function fromConsole(level) {
+  return (...args) => {
+    const index = args.findIndex((arg) => arg instanceof Error);
+    const error = index === -1 ? null : args.splice(index, 1)[0];
+    const message = util.format(...args).replace(/:\s*$/, '') || (error && error.message) || '';
+    log(level, message, error ? { error } : {});
+  };
+}
+
+// Send everything the app and its packages log with console.* through the
+// JSON logger. Call first thing in app.js; LOG_FORMAT=text keeps the plain
+// console, which is easier to read while developing.
+function useJsonLogs(service) {
+  settings.service = settings.service || service;
+  if (process.env.LOG_FORMAT === 'text') return;
+
+  console.debug = fromConsole('debug');
+  console.log = fromConsole('info');
+  console.info = fromConsole('info');
+  console.warn = fromConsole('warn');
+  console.error = fromConsole('error');
+}
+
+module.exports = { LEVELS, logger, requestContext, useJsonLogs };
@@ -0,0 +1,132 @@
+// A small Prometheus registry. Apps and packages create their metrics once,
+// at load time, and /metrics renders them all in the text format.
+const metrics = new Map();
+
+// Seconds; from a quick page to a slow export
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    if (metrics.has(name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    metrics.set(name, this);
+  }
+
+  // The series for `labels`, created on first use. Only the declared label
+  // names are kept, in their declared order.
+  get(labels = {}, create) {
+    const values = this.labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      const named = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+      this.series.set(key, { labels: named, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach((series) => lines.push(...this.renderSeries(series)));
+    return lines.join('\n');
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+    // Without labels there is one series, which starts at 0
+    if (this.labelNames.length === 0) this.inc({}, 0);
+  }
+
+  inc(labels, amount = 1) {
+    this.get(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+// A gauge either is set by the app or, given `collect`, reads its values
+// when scraped: `collect(set)` calls `set(labels, value)` for each series
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.get(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.clear();
+      this.collect((labels, value) => this.set(labels, value));
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+function counter(name, help, labelNames) {
+  return new Counter(name, help, labelNames);
+}
+
+function gauge(name, help, labelNames, collect) {
+  return new Gauge(name, help, labelNames, collect);
+}
+
+function histogram(name, help, labelNames, buckets) {
+  return new Histogram(name, help, labelNames, buckets);
+}
+
+// Every metric in the Prometheus text format
+function render() {
+  return `${[...metrics.values()].map((metric) => metric.render()).join('\n')}\n`;
+}
+
+module.exports = { DEFAULT_BUCKETS, counter, gauge, histogram, render };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const { SecurityError } = require('./errors');
+
+// Every request that changes something must carry the session's CSRF
+// token, so other sites can't submit forms or send requests as the user.
+// Forms send it as a hidden `_csrf` field:
+//
+//   <input type="hidden" name="_csrf" value="<%= csrfToken() %>">
+//
+// and pages that call fetch() load /security/csrf.js, which adds it as an
+// X-CSRF-Token header from <meta name="csrf-token" content="<%= csrfToken() %>">.
+const FIELD = '_csrf';
+const HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Made the first time a page asks for it, so visitors who never see a
+// form (health checks, crawlers) don't get a session
+function csrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+  return req.session.csrfToken;
+}
+
+function matches(expected, actual) {
+  if (!expected || typeof actual !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Mount after the session. Requests with an Authorization header (the
+// habit tracker's API tokens) don't use the cookie, so need no token; a
+// cross-site page can't add that header.
+function csrf() {
+  const router = express.Router();
+
+  router.get('/security/csrf.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'csrf.js'));
+  });
+
+  router.use((req, res, next) => {
+    res.locals.csrfToken = () => csrfToken(req);
+    if (SAFE_METHODS.includes(req.method) || req.get('Authorization')) {
+      return next();
+    }
+
+    const sent = req.get(HEADER) || (req.body && typeof req.body === 'object' ? req.body[FIELD] : undefined);
+    if (!matches(req.session && req.session.csrfToken, sent)) {
+      return next(new SecurityError('This page has expired. Go back, reload it and try again.'));
+    }
+    if (req.body && typeof req.body === 'object') delete req.body[FIELD];
+    next();
+  });
+
+  return router;
+}
+
+module.exports = { csrf, csrfToken };
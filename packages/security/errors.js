@@ -0,0 +1,43 @@
+// Errors people are meant to see, e.g. a rejected form or too many
+// requests; anything else is logged and answered with a generic message.
+class SecurityError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'SecurityError';
+    this.status = status;
+  }
+}
+
+// Browsers mark page loads and form posts as navigations; fetch calls and
+// API clients get JSON
+function wantsJson(req) {
+  const mode = req.get('Sec-Fetch-Mode');
+  if (mode) return mode !== 'navigate';
+  return !req.accepts('html');
+}
+
+// Last in every app: answers whatever a route passed to next() or threw,
+// without giving away what went wrong inside. Errors with a 4xx status
+// (SecurityError, AuthError, body parser errors) keep their message.
+function errorHandler() {
+  return (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+
+    const code = err.status || err.statusCode;
+    const status = Number.isInteger(code) && code >= 400 && code < 600 ? code : 500;
+    let message = err.message;
+    if (status >= 500) {
+      console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+      message = 'Something went wrong on our side. Please try again.';
+    }
+
+    res.status(status);
+    if (wantsJson(req)) {
+      res.json({ error: message });
+    } else {
+      res.type('text').send(message);
+    }
+  };
+}
+
+module.exports = { SecurityError, errorHandler };
@@ -0,0 +1,48 @@
+// Request protection shared by every app. In app.js, in this order:
+//
+//   app.use(headers());                 // before anything that responds
+//   app.use(createSession(pool));       // @my-platform/auth
+//   app.use(passport.initialize());
+//   app.use(passport.session());
+//   app.use(rateLimits(pool));
+//   app.use(csrf());
+//   ...routes...
+//   app.use(errorHandler());            // last
+const { SecurityError, errorHandler } = require('./errors');
+const { csrf, csrfToken } = require('./csrf');
+const { MINUTE, clientIp, rateLimit, rateLimits } = require('./rate-limit');
+const { headers } = require('./headers');
+
+// The placeholder the apps used to fall back to
+const DEFAULT_SESSION_SECRET = 'your-secret-key-change-in-production';
+const MIN_SECRET_LENGTH = 32;
+
+// The secret that signs session cookies. Anyone who knows it can sign in
+// as anyone, so production refuses to start without a real one.
+function sessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  const weak = !secret || secret === DEFAULT_SESSION_SECRET || secret.length < MIN_SECRET_LENGTH;
+  if (!weak) return secret;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      `SESSION_SECRET must be a random string of at least ${MIN_SECRET_LENGTH} characters ` +
+      '(e.g. from `openssl rand -hex 32`); refusing to start in production without one'
+    );
+  }
+  console.warn('⚠️ SESSION_SECRET is missing or weak; fine for development, not for production');
+  return secret || DEFAULT_SESSION_SECRET;
+}
+
+module.exports = {
+  MINUTE,
+  SecurityError,
+  sessionSecret,
+  clientIp,
+  headers,
+  csrf,
+  csrfToken,
+  rateLimit,
+  rateLimits,
+  errorHandler
+};
@@ -0,0 +1,22 @@
+// Browser side of CSRF protection, served at /security/csrf.js. Adds the
+// page's token (from <meta name="csrf-token">) to every fetch() that
+// changes something on this site.
+(function () {
+  const meta = document.querySelector('meta[name="csrf-token"]');
+  if (!meta) return;
+  const token = meta.content;
+  const originalFetch = window.fetch;
+
+  window.fetch = function (input, init) {
+    const options = init || {};
+    const method = (options.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+    const url = new URL(input instanceof Request ? input.url : input, location.href);
+    if (url.origin !== location.origin || ['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+      return originalFetch.call(this, input, init);
+    }
+
+    const headers = new Headers(options.headers || (input instanceof Request ? input.headers : undefined));
+    headers.set('X-CSRF-Token', token);
+    return originalFetch.call(this, input, { ...options, headers });
+  };
+})();
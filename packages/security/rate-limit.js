@@ -0,0 +1,121 @@
+const net = require('net');
+const { SecurityError } = require('./errors');
+
+// Request limits counted in Postgres (the rate_limits table), so every
+// replica of every app shares them. Each limit counts requests in fixed
+// windows, per signed-in user or per client address.
+const MINUTE = 60 * 1000;
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const CLEANUP_INTERVAL_MS = MINUTE;
+
+let lastCleanup = 0;
+
+// Proxies allowed to say who the visitor is, as comma-separated addresses
+// or CIDR ranges in TRUSTED_PROXIES (e.g. the network cloudflared connects
+// from). Anyone else could put any address in the header.
+function trustedProxies(list = process.env.TRUSTED_PROXIES || '') {
+  const proxies = new net.BlockList();
+  list.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+      throw new Error(`Invalid TRUSTED_PROXIES entry: ${entry}`);
+    }
+    if (prefix === undefined) {
+      proxies.addAddress(address, type);
+    } else {
+      proxies.addSubnet(address, Number(prefix), type);
+    }
+  });
+  return proxies;
+}
+
+const TRUSTED_PROXIES = trustedProxies();
+let warnedUntrusted = false;
+
+function isTrustedProxy(address) {
+  if (!address) return false;
+  // IPv4 peers on a dual-stack socket look like ::ffff:10.0.0.1
+  const ipv4 = address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  return TRUSTED_PROXIES.check(ipv4, net.isIPv6(ipv4) ? 'ipv6' : 'ipv4');
+}
+
+// The visitor's address. Cloudflare Tunnel passes it on in CF-Connecting-IP,
+// which counts only when the request came from a trusted proxy.
+function clientIp(req) {
+  const forwarded = req.get('CF-Connecting-IP');
+  if (!forwarded) return req.ip;
+  if (isTrustedProxy(req.ip)) return forwarded;
+
+  if (!warnedUntrusted) {
+    warnedUntrusted = true;
+    console.warn(`⚠️ Ignoring CF-Connecting-IP from ${req.ip}, which is not in TRUSTED_PROXIES`);
+  }
+  return req.ip;
+}
+
+// Count one request against `key` in the window starting at `windowStart`,
+// returning how many there have been in it
+async function hit(pool, key, windowStart, windowMs) {
+  const result = await pool.query(
+    `INSERT INTO rate_limits (key, window_start, hits, expires_at)
+     VALUES ($1, $2, 1, $3)
+     ON CONFLICT (key, window_start) DO UPDATE SET hits = rate_limits.hits + 1
+     RETURNING hits`,
+    [key, windowStart, new Date(windowStart.getTime() + windowMs)]
+  );
+
+  // Forget finished windows now and then
+  if (Date.now() - lastCleanup > CLEANUP_INTERVAL_MS) {
+    lastCleanup = Date.now();
+    pool.query('DELETE FROM rate_limits WHERE expires_at < NOW()')
+      .catch((err) => console.error('Error cleaning up rate limits:', err));
+  }
+  return result.rows[0].hits;
+}
+
+function describeWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Allow `max` requests per `windowMs` for each user (`by: 'user'`, or
+// their address when signed out) or each address (`by: 'ip'`). Only
+// `methods` are counted (null for all) and, if given, paths matching
+// `path`. If the database can't be reached, requests are let through.
+function rateLimit(pool, { name, windowMs, max, by = 'user', methods = UNSAFE_METHODS, path = null }) {
+  return async (req, res, next) => {
+    if (methods && !methods.includes(req.method)) return next();
+    if (path && !path.test(req.path)) return next();
+
+    const who = by === 'user' && req.user ? `user:${req.user.id}` : `ip:${clientIp(req)}`;
+    const windowStart = new Date(Math.floor(Date.now() / windowMs) * windowMs);
+    let hits;
+    try {
+      hits = await hit(pool, `${name}:${who}`, windowStart, windowMs);
+    } catch (err) {
+      console.error('Error checking rate limit:', err);
+      return next();
+    }
+
+    if (hits > max) {
+      const wait = Math.max(1, Math.ceil((windowStart.getTime() + windowMs - Date.now()) / 1000));
+      res.set('Retry-After', String(wait));
+      return next(new SecurityError(`Too many requests. Try again in ${describeWait(wait)}.`, 429));
+    }
+    next();
+  };
+}
+
+// The limits every app applies: sign-in attempts and emailed links per
+// address, and changes per user and per address
+function rateLimits(pool) {
+  return [
+    rateLimit(pool, { name: 'sign-in', by: 'ip', windowMs: 15 * MINUTE, max: 20, path: /^\/auth\// }),
+    rateLimit(pool, { name: 'changes', by: 'user', windowMs: MINUTE, max: 120 }),
+    rateLimit(pool, { name: 'changes-ip', by: 'ip', windowMs: MINUTE, max: 300 })
+  ];
+}
+
+module.exports = { MINUTE, clientIp, rateLimit, rateLimits };
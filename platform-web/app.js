@@ -1,18 +1,154 @@
 const express = require('express');
 const path = require('path');
+const { pool, migrate } = require('@my-platform/database');
+const {
+  AuthError, createSession, setupAuth, authRoutes, flash, signOut, requireAuth,
+  listIdentities, listSessions, endSession, endOtherSessions
+} = require('@my-platform/auth');
+const { updateProfile, exportAccount, deleteAccount } = require('./lib/account');
+const { createZip } = require('./lib/zip');
+const { headers, csrf, rateLimits, errorHandler } = require('@my-platform/security');
+const { useJsonLogs, observe } = require('@my-platform/observability');
+
+useJsonLogs('platform-web');
 
 const app = express();
+const passport = setupAuth(pool);
+
+// Signing in needs the users table, so bring the shared schema up to date
+migrate().catch((err) => {
+  console.error('Migration error:', err);
+  process.exit(1);
+});
+
+// Where the apps the landing page links to are running
+const APP_URLS = {
+  habits: process.env.HABIT_TRACKER_URL || 'http://localhost:8080',
+  chess: process.env.CHESS_URL || 'http://localhost:3001'
+};
 
 // Configuration
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'ejs');
+
+// Request ids, logs and timings, plus /livez, /readyz and /metrics
+app.use(observe(pool));
+app.use(headers());
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+
+// The session is shared with the apps, so signing in here signs in to all
+// of them and the landing page shows whoever signed in on any app
+app.use(createSession(pool));
+app.use(passport.initialize());
+app.use(passport.session());
+
+// Rate limits and CSRF tokens for everything that changes something
+app.use(rateLimits(pool));
+app.use(csrf());
+
+// Auth routes for every way to sign in
+app.use(authRoutes(passport));
 
 // Routes
 app.get('/', (req, res) => {
-  res.render('index');
+  res.render('index', { user: req.user || null, appUrls: APP_URLS, deleted: req.query.deleted === '1' });
+});
+
+app.get('/login', (req, res) => {
+  if (req.isAuthenticated()) {
+    return res.redirect('/');
+  }
+  res.render('login');
+});
+
+// The account page, shared by every app: profile, ways to sign in,
+// signed-in devices, data export and deleting the account
+app.get('/account', requireAuth, async (req, res) => {
+  try {
+    const identities = await listIdentities(pool, req.user.id);
+    const sessions = await listSessions(pool, req.user.id, req.sessionID);
+    res.render('account', { user: req.user, identities, sessions, appUrls: APP_URLS });
+  } catch (err) {
+    console.error('Error loading account:', err);
+    res.status(500).send('Error loading account');
+  }
 });
 
+// Sign-in methods used to have their own page
+app.get('/logins', (req, res) => {
+  res.redirect('/account');
+});
+
+// Account forms report back through a message on the account page
+function accountAction(action, errorMessage) {
+  return async (req, res) => {
+    try {
+      const message = await action(req);
+      if (message) flash(req, 'info', message);
+    } catch (err) {
+      if (!(err instanceof AuthError)) {
+        console.error(`${errorMessage}:`, err);
+        err = new AuthError(errorMessage);
+      }
+      flash(req, 'error', err.message);
+    }
+    res.redirect('/account');
+  };
+}
+
+app.post('/account/profile', requireAuth, accountAction(async (req) => {
+  await updateProfile(pool, req.user, req.body);
+  return 'Profile saved';
+}, 'Error saving profile'));
+
+app.post('/account/sessions/end-others', requireAuth, accountAction(async (req) => {
+  const count = await endOtherSessions(pool, req.user.id, req.sessionID);
+  return count === 1 ? 'Signed out of 1 other device' : `Signed out of ${count} other devices`;
+}, 'Error signing out other devices'));
+
+app.post('/account/sessions/:key/end', requireAuth, accountAction(async (req) => {
+  await endSession(pool, req.user.id, req.params.key);
+  return 'Device signed out';
+}, 'Error signing out device'));
+
+// Everything the apps keep about the user, as one ZIP file
+app.get('/account/export', requireAuth, async (req, res) => {
+  try {
+    const files = await exportAccount(pool, req.user, req.sessionID);
+    const date = new Date().toISOString().split('T')[0];
+    res.set('Content-Type', 'application/zip');
+    res.attachment(`account-export-${date}.zip`);
+    res.send(createZip(files));
+  } catch (err) {
+    console.error('Error exporting account:', err);
+    res.status(500).send('Error exporting account');
+  }
+});
+
+// Permanently delete the account from every app. The email address has to
+// be typed in to confirm.
+app.post('/account/delete', requireAuth, async (req, res, next) => {
+  const confirmation = typeof req.body.confirmEmail === 'string' ? req.body.confirmEmail.trim() : '';
+  if (confirmation.toLowerCase() !== req.user.email.toLowerCase()) {
+    flash(req, 'error', 'Type your email address exactly to delete your account');
+    return res.redirect('/account');
+  }
+
+  try {
+    await deleteAccount(pool, req.user.id);
+  } catch (err) {
+    console.error('Error deleting account:', err);
+    flash(req, 'error', 'Error deleting account');
+    return res.redirect('/account');
+  }
+  signOut(req, res, next, '/?deleted=1');
+});
+
+// Anything a route passed on, without the details
+app.use(errorHandler());
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Platform landing page running on port ${PORT}`);
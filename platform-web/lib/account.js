@@ -0,0 +1,228 @@
+// The account page's work on a user's own data: editing their profile,
+// exporting everything the apps keep about them and deleting it all.
+const { notify } = require('@my-platform/database');
+const { AuthError, listIdentities, listSessions } = require('@my-platform/auth');
+
+const NAME_MAX_LENGTH = 100;
+const PICTURE_MAX_LENGTH = 2048;
+
+// The chess app's channel for live game updates (apps/chess-game/lib/live.js)
+const CHESS_CHANNEL = 'chess_game_events';
+
+// Set the user's display name, avatar and contact email. The email must be
+// one a linked sign-in has, so it can't be pointed at someone else.
+async function updateProfile(pool, user, { name, picture, email }) {
+  const displayName = typeof name === 'string' ? name.trim() : '';
+  if (!displayName || displayName.length > NAME_MAX_LENGTH) {
+    throw new AuthError(`Your name needs 1 to ${NAME_MAX_LENGTH} characters`);
+  }
+
+  const avatar = typeof picture === 'string' ? picture.trim() : '';
+  if (avatar && (avatar.length > PICTURE_MAX_LENGTH || !/^https?:\/\/[^\s]+$/i.test(avatar))) {
+    throw new AuthError('The avatar needs to be an http:// or https:// image address');
+  }
+
+  let contact = user.email;
+  if (typeof email === 'string' && email.trim() && email.trim().toLowerCase() !== user.email.toLowerCase()) {
+    const known = await pool.query(
+      'SELECT email FROM user_identities WHERE user_id = $1 AND lower(email) = lower($2) LIMIT 1',
+      [user.id, email.trim()]
+    );
+    if (known.rows.length === 0) {
+      throw new AuthError('Link a sign-in with that email address before using it');
+    }
+    contact = known.rows[0].email;
+  }
+
+  const result = await pool.query(
+    `UPDATE users SET name = $2, picture = $3, email = $4, profile_updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [user.id, displayName, avatar || null, contact]
+  );
+  return result.rows[0];
+}
+
+async function exportHabits(pool, userId) {
+  const habits = await pool.query(
+    `SELECT id, name, schedule_type, schedule_days, schedule_times, schedule_interval, target, unit,
+            reminder_time, tags, archived_at, position, challenge_id, created_at
+     FROM habits WHERE user_id = $1 ORDER BY id`,
+    [userId]
+  );
+  const completions = await pool.query(
+    `SELECT c.habit_id, c.completed_date::text AS date, c.backdated, c.note, c.created_at
+     FROM completions c JOIN habits h ON h.id = c.habit_id
+     WHERE h.user_id = $1 ORDER BY c.habit_id, c.completed_date`,
+    [userId]
+  );
+  const entries = await pool.query(
+    `SELECT e.habit_id, e.entry_date::text AS date, e.amount, e.created_at
+     FROM habit_entries e JOIN habits h ON h.id = e.habit_id
+     WHERE h.user_id = $1 ORDER BY e.habit_id, e.entry_date, e.id`,
+    [userId]
+  );
+  const groups = await pool.query(
+    `SELECT g.id, g.name, g.description, m.role, m.share_stats, m.share_activity, m.joined_at
+     FROM group_members m JOIN habit_groups g ON g.id = m.group_id
+     WHERE m.user_id = $1 ORDER BY m.joined_at`,
+    [userId]
+  );
+  const challenges = await pool.query(
+    `SELECT id, group_id, name, description, start_date::text, end_date::text, created_at
+     FROM challenges WHERE created_by = $1 ORDER BY id`,
+    [userId]
+  );
+  const devices = await pool.query(
+    'SELECT user_agent, created_at FROM push_subscriptions WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const tokens = await pool.query(
+    `SELECT name, token_hint, scopes, created_at, last_used_at, expires_at, revoked_at
+     FROM api_tokens WHERE user_id = $1 ORDER BY id`,
+    [userId]
+  );
+
+  return {
+    habits: habits.rows.map((habit) => ({
+      ...habit,
+      completions: completions.rows.filter((c) => c.habit_id === habit.id).map(({ habit_id, ...c }) => c),
+      entries: entries.rows.filter((e) => e.habit_id === habit.id).map(({ habit_id, ...e }) => e)
+    })),
+    groups: groups.rows,
+    challengesCreated: challenges.rows,
+    pushDevices: devices.rows,
+    apiTokens: tokens.rows
+  };
+}
+
+async function exportChess(pool, userId) {
+  const games = await pool.query(
+    `SELECT g.id, CASE WHEN g.white_player_id = $1 THEN 'white' ELSE 'black' END AS color,
+            o.name AS opponent, g.status, g.result, g.termination, g.rated, g.time_control,
+            g.bot_level, g.is_analysis, g.created_at, g.updated_at
+     FROM chess_games g
+     LEFT JOIN users o ON o.id = CASE WHEN g.white_player_id = $1 THEN g.black_player_id ELSE g.white_player_id END
+     WHERE $1 IN (g.white_player_id, g.black_player_id)
+     ORDER BY g.id`,
+    [userId]
+  );
+  const moves = await pool.query(
+    `SELECT game_id, move_notation, move_uci, created_at
+     FROM chess_moves WHERE player_id = $1 ORDER BY game_id, id`,
+    [userId]
+  );
+  const events = await pool.query(
+    'SELECT game_id, color, type, created_at FROM chess_game_events WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const rating = await pool.query(
+    'SELECT rating, rd, volatility, games_played, updated_at FROM chess_ratings WHERE user_id = $1',
+    [userId]
+  );
+  const history = await pool.query(
+    `SELECT game_id, rating, rd, volatility, rating_change, created_at
+     FROM chess_rating_history WHERE user_id = $1 ORDER BY id`,
+    [userId]
+  );
+
+  return {
+    games: games.rows.map((game) => ({
+      ...game,
+      yourMoves: moves.rows.filter((m) => m.game_id === game.id).map(({ game_id, ...m }) => m),
+      yourActions: events.rows.filter((e) => e.game_id === game.id).map(({ game_id, ...e }) => e)
+    })),
+    rating: rating.rows[0] || null,
+    ratingHistory: history.rows
+  };
+}
+
+// Everything the apps keep about the user, as files for a ZIP archive
+async function exportAccount(pool, user, currentSid) {
+  const profile = await pool.query('SELECT * FROM users WHERE id = $1', [user.id]);
+  const identities = await listIdentities(pool, user.id);
+  const sessions = await listSessions(pool, user.id, currentSid);
+  const habits = await exportHabits(pool, user.id);
+  const chess = await exportChess(pool, user.id);
+
+  const json = (data) => JSON.stringify(data, null, 2) + '\n';
+  return [
+    {
+      name: 'README.txt',
+      content: [
+        `Account data for ${user.email}, exported ${new Date().toISOString()}`,
+        '',
+        'profile.json  your profile, ways to sign in and signed-in devices',
+        'habits.json   habits with check-ins and amounts, groups, reminders and API tokens',
+        'chess.json    games you played with your moves, and your rating',
+        ''
+      ].join('\n')
+    },
+    {
+      name: 'profile.json',
+      content: json({
+        user: profile.rows[0],
+        signIns: identities.map(({ id, label, ...identity }) => ({ ...identity, method: label })),
+        sessions: sessions.map(({ key, ...session }) => session)
+      })
+    },
+    { name: 'habits.json', content: json(habits) },
+    { name: 'chess.json', content: json(chess) }
+  ];
+}
+
+// Remove the user and everything of theirs, in one transaction. Their
+// groups go to the longest-standing other member, their unfinished chess
+// games are aborted, and finished games stay for the opponents with the
+// seat left empty (see migration 015). Everything else cascades.
+async function deleteAccount(pool, userId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const owned = await client.query(
+      `SELECT g.id, (
+         SELECT m.user_id FROM group_members m
+         WHERE m.group_id = g.id AND m.user_id <> $1
+         ORDER BY m.joined_at, m.user_id
+         LIMIT 1
+       ) AS successor
+       FROM habit_groups g WHERE g.owner_id = $1`,
+      [userId]
+    );
+    for (const group of owned.rows) {
+      if (!group.successor) continue; // Nobody left; the group goes too
+      await client.query('UPDATE habit_groups SET owner_id = $2 WHERE id = $1', [group.id, group.successor]);
+      await client.query(
+        `UPDATE group_members SET role = 'owner' WHERE group_id = $1 AND user_id = $2`,
+        [group.id, group.successor]
+      );
+    }
+
+    const aborted = await client.query(
+      `UPDATE chess_games
+       SET status = 'aborted', turn_deadline = NULL, draw_offer = NULL, takeback_request = NULL, updated_at = NOW()
+       WHERE status IN ('waiting', 'active') AND $1 IN (white_player_id, black_player_id)
+       RETURNING id`,
+      [userId]
+    );
+    for (const game of aborted.rows) {
+      await notify(CHESS_CHANNEL, { gameId: game.id, type: 'abort', data: { status: 'aborted' } }, client);
+    }
+
+    await client.query(`DELETE FROM session WHERE sess->'passport'->>'user' = $1`, [String(userId)]);
+    const deleted = await client.query('DELETE FROM users WHERE id = $1 AND NOT is_bot RETURNING id', [userId]);
+    if (deleted.rows.length === 0) {
+      throw new AuthError('Account not found', 404);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { updateProfile, exportAccount, deleteAccount };